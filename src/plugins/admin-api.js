@@ -0,0 +1,234 @@
+import { RUN_STATES } from "../services/run-store.js";
+import { JOB_STATES } from "../services/job-queue.js";
+import { getLogger } from "../services/logger.js";
+
+/**
+ * An admin request that cannot be served, with the HTTP status to answer with
+ */
+export class AdminAPIError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "AdminAPIError";
+    this.statusCode = statusCode;
+  }
+}
+
+const runsQuerySchema = {
+  type: "object",
+  properties: {
+    repo: { type: "string", pattern: "^[^/\\s]+/[^/\\s]+$" },
+    pr: { type: "integer", minimum: 1 },
+    state: { type: "string", enum: RUN_STATES },
+    limit: { type: "integer", minimum: 1, maximum: 500, default: 50 },
+  },
+};
+
+const jobsQuerySchema = {
+  type: "object",
+  properties: {
+    state: { type: "string", enum: JOB_STATES },
+    limit: { type: "integer", minimum: 1, maximum: 500, default: 50 },
+  },
+};
+
+const planParamsSchema = {
+  type: "object",
+  properties: { id: { type: "string", minLength: 1 } },
+};
+
+const idParamsSchema = {
+  type: "object",
+  properties: { id: { type: "integer", minimum: 1 } },
+};
+
+const analyzeSchema = {
+  params: {
+    type: "object",
+    properties: {
+      owner: { type: "string" },
+      repo: { type: "string" },
+      number: { type: "integer", minimum: 1 },
+    },
+  },
+  body: {
+    type: ["object", "null"],
+    properties: {
+      mode: { type: "string", enum: ["create_pr", "add_comments"] },
+      paths: { type: "array", items: { type: "string", minLength: 1 }, maxItems: 50 },
+    },
+    additionalProperties: false,
+  },
+};
+
+/**
+ * Operator endpoints: inspect analysis runs, jobs, dry-run plans and readiness details, re-trigger an analysis and
+ * cancel jobs.
+ * Every route needs one of the keys in ADMIN_API_KEYS.
+ *
+ * @param {Object} options
+ * @param {import("../services/admin-auth.js").default} options.auth
+ * @param {Function} options.triggerAnalysis - ({ repo, prNumber, mode, paths, requestedBy }) => queue result
+ * @param {Function} options.cancelJob - (jobId, requestedBy) => cancelled job
+ * @param {import("../services/dry-run.js").default} options.dryRun - Plans recorded in DRY_RUN mode
+ * @param {import("../services/readiness.js").default} options.readiness - Full readiness report
+ * @param {import("pino").Logger} options.logger
+ */
+async function adminApiPlugin(fastify, options) {
+  const { auth, runStore, jobQueue, triggerAnalysis, cancelJob, dryRun, readiness } = options;
+  const logger = options.logger || getLogger();
+
+  if (!auth.isConfigured()) {
+    logger.warn("ADMIN_API_KEYS not set. The admin API will refuse all requests.");
+  }
+
+  fastify.decorateRequest("adminKey", null);
+
+  fastify.addHook("onRequest", async (request, reply) => {
+    if (!auth.isConfigured()) {
+      return reply.code(503).send({ success: false, message: "Admin API is disabled (ADMIN_API_KEYS is not set)" });
+    }
+    request.adminKey = auth.authenticate(request.headers);
+    if (!request.adminKey) {
+      return reply
+        .code(401)
+        .header("WWW-Authenticate", 'Bearer realm="admin"')
+        .send({ success: false, message: "Invalid or missing API key" });
+    }
+  });
+
+  fastify.setErrorHandler(async (error, request, reply) => {
+    if (error.validation) {
+      return reply.code(400).send({ success: false, message: error.message });
+    }
+    if (error.statusCode >= 400 && error.statusCode < 500) {
+      return reply.code(error.statusCode).send({ success: false, message: error.message });
+    }
+    logger.error({ method: request.method, url: request.url, error: error.message }, "Admin API error");
+    return reply.code(500).send({ success: false, message: "Internal server error" });
+  });
+
+  fastify.setNotFoundHandler(async (request, reply) => {
+    return reply.code(404).send({ success: false, message: `No admin route ${request.method} ${request.url}` });
+  });
+
+  // ==================== RUNS ====================
+
+  fastify.get("/runs", { schema: { querystring: runsQuerySchema } }, async (request) => {
+    const { repo, pr, state, limit } = request.query;
+    const runs = runStore.listRuns({ repo, prNumber: pr, state, limit });
+    return { success: true, count: runs.length, runs };
+  });
+
+  fastify.get("/runs/:id", { schema: { params: idParamsSchema } }, async (request) => {
+    const run = runStore.getRun(request.params.id);
+    if (!run) {
+      throw new AdminAPIError(`Run ${request.params.id} not found`, 404);
+    }
+
+    const events = runStore.listEvents({ runId: run.id, limit: 500 }).reverse();
+    const latest = (action) => events.filter((event) => event.action === action).pop() || null;
+
+    const timeline = [
+      {
+        at: run.createdAt,
+        action: "run_started",
+        details: { trigger: run.trigger, mode: run.mode, requestedBy: run.requestedBy, jobId: run.jobId },
+      },
+      ...events.map((event) => ({ at: event.createdAt, action: event.action, details: event.details })),
+      ...(run.finishedAt
+        ? [{ at: run.finishedAt, action: `run_${run.state}`, details: run.error ? { error: run.error } : null }]
+        : []),
+    ];
+
+    return {
+      success: true,
+      run,
+      job: run.jobId ? jobQueue.get(run.jobId) : null,
+      timeline,
+      payloads: {
+        request: latest("analysis_request")?.details || null,
+        response: latest("analysis_response")?.details || null,
+      },
+      errors: events
+        .filter((event) => event.action === "attempt_failed")
+        .map((event) => ({ at: event.createdAt, ...event.details })),
+    };
+  });
+
+  // ==================== JOBS ====================
+
+  fastify.get("/jobs", { schema: { querystring: jobsQuerySchema } }, async (request) => {
+    const { state, limit } = request.query;
+    return {
+      success: true,
+      stats: jobQueue.stats(),
+      paused: jobQueue.listPauses(),
+      jobs: jobQueue.list({ state, limit }),
+    };
+  });
+
+  fastify.get("/jobs/:id", { schema: { params: idParamsSchema } }, async (request) => {
+    const job = jobQueue.get(request.params.id);
+    if (!job) {
+      throw new AdminAPIError(`Job ${request.params.id} not found`, 404);
+    }
+    return { success: true, job };
+  });
+
+  // ==================== DRY-RUN PLANS ====================
+
+  fastify.get("/dry-run/plans", async () => {
+    if (!dryRun?.isEnabled()) {
+      throw new AdminAPIError("Dry-run mode is not enabled (DRY_RUN=true)", 404);
+    }
+    return { success: true, plans: dryRun.listPlans() };
+  });
+
+  fastify.get("/dry-run/plans/:id", { schema: { params: planParamsSchema } }, async (request) => {
+    const plan = dryRun?.isEnabled() ? dryRun.getPlan(request.params.id) : null;
+    if (!plan) {
+      throw new AdminAPIError(`Dry-run plan ${request.params.id} not found`, 404);
+    }
+    return { success: true, plan };
+  });
+
+  // ==================== HEALTH ====================
+
+  fastify.get("/health", async () => {
+    if (!readiness) {
+      throw new AdminAPIError("Readiness checks are not configured", 404);
+    }
+    return { success: true, ...(await readiness.check()) };
+  });
+
+  // ==================== ACTIONS ====================
+
+  fastify.post("/repos/:owner/:repo/pulls/:number/analyze", { schema: analyzeSchema }, async (request, reply) => {
+    const { owner, repo, number } = request.params;
+    const { mode, paths = [] } = request.body || {};
+
+    logger.info({ repo: `${owner}/${repo}`, prNumber: number, adminKey: request.adminKey }, "Admin analysis requested");
+    const result = await triggerAnalysis({
+      repo: `${owner}/${repo}`,
+      prNumber: number,
+      mode,
+      paths,
+      requestedBy: request.adminKey,
+    });
+    return reply.code(202).send(result);
+  });
+
+  fastify.post("/jobs/:id/cancel", { schema: { params: idParamsSchema } }, async (request, reply) => {
+    logger.info({ jobId: request.params.id, adminKey: request.adminKey }, "Admin cancellation requested");
+    const job = await cancelJob(request.params.id, request.adminKey);
+    return reply.code(202).send({
+      success: true,
+      message: job.state === "cancelled"
+        ? `Job #${job.id} cancelled`
+        : `Job #${job.id} will stop after its current step`,
+      job: { id: job.id, state: job.state, cancelRequested: job.cancelRequested },
+    });
+  });
+}
+
+export default adminApiPlugin;
@@ -1,21 +1,89 @@
-import GitService from "../services/git-service.js";
+import crypto from "node:crypto";
+import GitService, { ANALYSIS_BRANCH_PREFIX, MAX_PR_FILES } from "../services/git-service.js";
 import GitHubStatusService from "../services/github-status.js";
-import { Octokit } from "@octokit/rest";
+import GitHubChecksService from "../services/github-checks.js";
+import WebhookSignatureVerifier from "../services/webhook-signature.js";
+import GitHubAppAuth from "../services/github-app-auth.js";
+import InstallationRegistry from "../services/installation-registry.js";
+import AnalysisLifecycle from "../services/analysis-lifecycle.js";
+import AnalysisClient, { AnalysisAPIError } from "../services/analysis-client.js";
+import { validateAnalysisResponse } from "../services/write-policy.js";
+import { buildAnalysisReview, MAX_BODY_LENGTH } from "../services/review-builder.js";
+import RepoConfigService, { CONFIG_FILENAME, DEFAULT_CONFIG } from "../services/repo-config.js";
+import { filterChangedFiles } from "../services/file-filter.js";
+import { JobCancelledError, JobWaiting } from "../services/job-queue.js";
+import AdminAuth from "../services/admin-auth.js";
+import DryRunRecorder from "../services/dry-run.js";
+import Metrics from "../services/metrics.js";
+import GitHubRequestLayer from "../services/github-requests.js";
+import TriggerAuthorizer from "../services/trigger-auth.js";
+import { addLogContext, getLogContext, getLogger, withLogContext } from "../services/logger.js";
+import adminApiPlugin, { AdminAPIError } from "./admin-api.js";
+import {
+  COMMAND_HELP,
+  COMMAND_PREFIX,
+  filterFilesByPaths,
+  parseCommand,
+} from "../services/command-parser.js";
 
 async function githubWebhookPlugin(fastify, options) {
-  const webhookSecret = process.env.GITHUB_WEBHOOK_SECRET;
-  const gitService = new GitService();
-  const statusService = new GitHubStatusService();
-  const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-
-  if (!webhookSecret) {
-    console.log(
-      "GITHUB_WEBHOOK_SECRET not set. Webhook signature validation will be skipped."
-    );
+  const signatureVerifier = WebhookSignatureVerifier.fromEnv();
+  const appAuth = options.appAuth || GitHubAppAuth.fromEnv();
+  const installations = options.installations || new InstallationRegistry();
+  const { jobQueue, deliveryStore, runStore } = options;
+  const lifecycle = options.lifecycle || AnalysisLifecycle.fromEnv({ appAuth, runStore });
+  // Shared so every job sees the same circuit breaker state
+  const analysisClient = options.analysisClient || AnalysisClient.fromEnv();
+  // DRY_RUN: GitHub writes are recorded as a plan instead of being made
+  const dryRun = options.dryRun || DryRunRecorder.fromEnv();
+  const logger = options.logger || getLogger();
+  const metrics = options.metrics || new Metrics({ collectDefaults: false });
+  // Every GitHub call is throttled and retried by one shared layer (metrics count each attempt);
+  // that installation's jobs wait while its rate limit is nearly used up, so its webhooks keep
+  // working. The app's own limit is not used by jobs; "token" is the one all token-mode jobs share.
+  const githubRequests = options.githubRequests || GitHubRequestLayer.fromEnv({
+    onBudgetLow: ({ installation, resource, remaining, limit, resetAt }) => {
+      if (installation === 'app') return;
+      jobQueue.pause(installation === 'token' ? null : installation, resetAt,
+        `GitHub ${resource} rate limit nearly used up (${remaining}/${limit} left)`);
+    }
+  });
+  appAuth.onClient((octokit, client) => metrics.instrument(octokit, client));
+  appAuth.onClient((octokit, client) => githubRequests.instrument(octokit, client));
+  // Who may start, rerun or cancel analyses from a PR
+  const triggerAuth = options.triggerAuth || TriggerAuthorizer.fromEnv({ logger });
+
+  // Check runs need GitHub App credentials; personal tokens fall back to commit statuses
+  const statusReporter = process.env.STATUS_REPORTER
+    || (appAuth.isAppConfigured() ? "checks" : "status");
+
+  // Strict mode is on by default in production and can be forced with WEBHOOK_STRICT_MODE
+  const strictMode = process.env.WEBHOOK_STRICT_MODE
+    ? process.env.WEBHOOK_STRICT_MODE === "true"
+    : process.env.NODE_ENV === "production";
+
+  if (!signatureVerifier.isConfigured()) {
+    if (strictMode) {
+      throw new Error(
+        "GITHUB_WEBHOOK_SECRET must be set when webhook strict mode is enabled"
+      );
+    }
+    logger.warn("GITHUB_WEBHOOK_SECRET not set. Webhook signature validation will be skipped.");
   }
 
-  if (!process.env.GITHUB_TOKEN) {
-    console.log("GITHUB_TOKEN not set. PR creation workflow will be disabled.");
+  if (!appAuth.isConfigured()) {
+    logger.warn("GITHUB_APP_ID/GITHUB_APP_PRIVATE_KEY (or GITHUB_TOKEN) not set. PR creation workflow will be disabled.");
+  } else if (appAuth.isAppConfigured()) {
+    logger.info({ appId: appAuth.appId }, "Authenticating as GitHub App");
+    installations.sync(appAuth).catch((error) => {
+      logger.error({ error: error.message }, "Failed to load GitHub App installations");
+    });
+  } else {
+    logger.info("GITHUB_APP_ID not set. Falling back to GITHUB_TOKEN authentication.");
+  }
+
+  if (dryRun.isEnabled()) {
+    logger.warn("DRY_RUN enabled: GitHub writes will be recorded as plans, not performed.");
   }
 
   // ==================== UTILITY FUNCTIONS ====================
@@ -26,7 +94,30 @@ async function githubWebhookPlugin(fastify, options) {
     return { owner: match[1], repo: match[2] };
   };
 
-  const createPRComment = async (prUrl, prNumber, commentBody) => {
+  /**
+   * Build the GitHub clients for one webhook's installation
+   */
+  const getClients = (installationId) => {
+    const octokit = dryRun.instrument(appAuth.getInstallationOctokit(installationId));
+    return {
+      octokit,
+      gitService: new GitService(octokit, { analysisClient, logger, metrics }),
+      configService: new RepoConfigService(octokit, { logger }),
+      statusService: statusReporter === "checks"
+        ? new GitHubChecksService(octokit, { logger })
+        : new GitHubStatusService(octokit, { logger }),
+    };
+  };
+
+  /**
+   * Keep only analysis findings that point at files changed in the PR
+   */
+  const annotationsForChangedFiles = (annotations = [], fileChanges) => {
+    const changed = new Set(fileChanges.map((file) => file.filename));
+    return annotations.filter((annotation) => changed.has(annotation.path));
+  };
+
+  const createPRComment = async (octokit, prUrl, prNumber, commentBody) => {
     try {
       const { owner, repo } = parseGitHubUrl(prUrl);
       const response = await octokit.issues.createComment({
@@ -35,15 +126,15 @@ async function githubWebhookPlugin(fastify, options) {
         issue_number: prNumber,
         body: commentBody
       });
-      console.log(`Comment created on PR #${prNumber}`);
+      logger.debug({ commentId: response.data.id }, "Comment created");
       return response.data;
     } catch (error) {
-      console.error(`Failed to create comment: ${error.message}`);
+      logger.error({ error: error.message, status: error.status }, "Failed to create comment");
       throw error;
     }
   };
 
-  const updateComment = async (prUrl, commentId, commentBody) => {
+  const updateComment = async (octokit, prUrl, commentId, commentBody) => {
     try {
       const { owner, repo } = parseGitHubUrl(prUrl);
       await octokit.issues.updateComment({
@@ -52,81 +143,303 @@ async function githubWebhookPlugin(fastify, options) {
         comment_id: commentId,
         body: commentBody
       });
-      console.log(`Comment ${commentId} updated`);
+      logger.debug({ commentId }, "Comment updated");
     } catch (error) {
-      console.error(`Failed to update comment: ${error.message}`);
+      logger.error({ commentId, error: error.message, status: error.status }, "Failed to update comment");
       throw error;
     }
   };
 
+  const listPRComments = async (octokit, prUrl, prNumber) => {
+    const { owner, repo } = parseGitHubUrl(prUrl);
+    return octokit.paginate(octokit.issues.listComments, {
+      owner,
+      repo,
+      issue_number: prNumber,
+      per_page: 100
+    });
+  };
+
+  /**
+   * Find the "Files Changed" comment posted when the PR was opened
+   */
+  const findBotComment = async (octokit, prUrl, prNumber) => {
+    const comments = await listPRComments(octokit, prUrl, prNumber);
+    return comments.find((comment) => comment.body?.includes(BOT_COMMENT_MARKER)) || null;
+  };
+
+  /**
+   * Collapse earlier analysis result comments as outdated, and flag earlier analysis
+   * reviews (their bodies cannot be collapsed)
+   */
+  const markAnalysisCommentsOutdated = async (octokit, prUrl, prNumber) => {
+    const comments = await listPRComments(octokit, prUrl, prNumber);
+    const results = comments.filter((comment) => comment.body?.includes(ANALYSIS_RESULT_MARKER));
+
+    const { owner, repo } = parseGitHubUrl(prUrl);
+    const reviews = await octokit.paginate(octokit.pulls.listReviews, {
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100
+    });
+    for (const review of reviews) {
+      if (!review.body?.includes(ANALYSIS_RESULT_MARKER) || review.body.includes(OUTDATED_REVIEW_NOTE)) continue;
+      const body = `${OUTDATED_REVIEW_NOTE}\n\n${review.body}`;
+      if (body.length > MAX_BODY_LENGTH) continue;
+      try {
+        await octokit.pulls.updateReview({ owner, repo, pull_number: prNumber, review_id: review.id, body });
+        results.push(review);
+      } catch (error) {
+        logger.warn({ reviewId: review.id, error: error.message }, "Failed to flag review as outdated");
+      }
+    }
+
+    for (const comment of results) {
+      try {
+        await octokit.graphql(
+          `mutation($id: ID!) {
+            minimizeComment(input: { subjectId: $id, classifier: OUTDATED }) {
+              minimizedComment { isMinimized }
+            }
+          }`,
+          { id: comment.node_id }
+        );
+      } catch (error) {
+        logger.warn({ commentId: comment.id, error: error.message }, "Failed to minimize comment");
+      }
+    }
+
+    if (results.length > 0) {
+      logger.info({ comments: results.length }, "Marked analysis comments as outdated");
+    }
+    return results.length;
+  };
+
+  /**
+   * Tell the user the PR could not be analysed instead of silently skipping it
+   */
+  const reportFileListError = async (octokit, prUrl, prNumber, error) => {
+    logger.error({ error: error.message, status: error.status }, "Failed to fetch PR file changes");
+    try {
+      await createPRComment(octokit, prUrl, prNumber, createFileListErrorComment(error.message));
+    } catch (commentError) {
+      logger.error({ error: commentError.message }, "Failed to report file listing error");
+    }
+  };
+
   // ==================== COMMENT TEMPLATES ====================
-  
-  const createInitialComment = (fileChanges) => {
-    const filesList = fileChanges.map((file, index) => 
-      `${index + 1}. **${file.filename}** (${file.status}) - +${file.additions} -${file.deletions}`
-    ).join('\n');
 
-    return `## 🔍 Files Changed in this PR
+  // GitHub stops listing a PR's files at MAX_PR_FILES; judged on the full list, not the eligible part
+  const isCapped = (listedFiles) => listedFiles.length >= MAX_PR_FILES;
+
+  const formatFileList = (fileChanges, { capped = false } = {}) => {
+    const lines = fileChanges.map((file, index) => {
+      const notes = [];
+      if (file.previous_filename) notes.push(`renamed from \`${file.previous_filename}\``);
+      if (file.patchOmitted) notes.push('diff not available');
+      if (file.patchTruncated) notes.push('diff truncated by GitHub');
+      const suffix = notes.length ? ` _(${notes.join(', ')})_` : '';
+      return `${index + 1}. **${file.filename}** (${file.status}) - +${file.additions} -${file.deletions}${suffix}`;
+    });
+
+    if (capped) {
+      lines.push(`\n> ⚠️ GitHub lists at most ${MAX_PR_FILES} files per PR - files beyond that are not included.`);
+    }
+    return lines.join('\n');
+  };
+
+  const formatConfigErrors = (configErrors = []) => {
+    if (!configErrors.length) return '';
+    const lines = configErrors.flatMap(({ source, messages }) =>
+      messages.map((message) => `> - \`${source}\`: ${message}`));
+    return `\n\n> ⚠️ **Invalid \`${CONFIG_FILENAME}\`** - these settings were ignored and defaults were used instead:\n${lines.join('\n')}`;
+  };
+
+  const formatRejectedFiles = (rejectedFiles = []) => {
+    if (!rejectedFiles.length) return '';
+    const lines = rejectedFiles.map(({ path, reason }) => `> - \`${path}\` - ${reason}`);
+    return `\n\n> ⚠️ **${rejectedFiles.length} generated file${rejectedFiles.length === 1 ? ' was' : 's were'} not committed** because of the write policy:\n${lines.join('\n')}`;
+  };
 
-Hi! I've detected **${fileChanges.length} changed files** in this PR:
+  const formatExcludedFiles = (excluded = [], verbosity = 'normal') => {
+    if (!excluded.length) return '';
+    const summary = `${excluded.length} changed file${excluded.length === 1 ? ' was' : 's were'} skipped`;
+    if (verbosity === 'minimal') {
+      return `\n\n_${summary}._`;
+    }
+    const lines = excluded.map((file) => `- \`${file.filename}\` - ${file.reason}`);
+    return `\n\n<details>\n<summary>${summary}</summary>\n\n${lines.join('\n')}\n</details>`;
+  };
 
-${filesList}
+  const MODE_OPTIONS = {
+    create_pr: '- [ ] **Analyze and create new PR** - Create a separate PR with analysis files',
+    add_comments: '- [ ] **Analyze and add to comments** - Post analysis results as a review on this PR',
+  };
+
+  // Hidden markers used to find our comments again on later events
+  const BOT_COMMENT_MARKER = '<!-- covlant-app:pr-comment -->';
+  const ANALYSIS_RESULT_MARKER = '<!-- covlant-app:analysis-result -->';
+  const OUTDATED_REVIEW_NOTE = '> ⚠️ **Outdated:** new commits were pushed after these tests were generated.';
+  
+  const createInitialComment = (fileChanges, {
+    headSha = null,
+    previousResult = null,
+    inFlightJob = null,
+    config = DEFAULT_CONFIG,
+    excluded = [],
+    configErrors = [],
+    capped = false
+  } = {}) => {
+    const filesList = config.comments.verbosity === 'minimal'
+      ? ''
+      : `:\n\n${formatFileList(fileChanges, { capped })}`;
+    const options = config.modes.map((mode) => MODE_OPTIONS[mode]).join('\n');
+    const instructions = config.modes.length > 1
+      ? 'Check one of the boxes above to proceed with analysis.'
+      : 'Check the box above to proceed with analysis.';
+
+    let updateNote = '';
+    if (headSha) {
+      const outdated = previousResult
+        ? ` Earlier analysis results ([view](${previousResult})) were generated for older code and are now **outdated**.`
+        : ' Earlier analysis results on this PR were generated for older code and are now **outdated**.';
+      updateNote = `\n\n> ⚠️ **New commits pushed** - the file list was refreshed for \`${headSha.substring(0, 7)}\`.${outdated}`;
+    }
+    if (inFlightJob) {
+      updateNote += `\n>\n> ⏳ An analysis of older code (job #${inFlightJob.id}) is still in progress; its results will be marked outdated. New requests are merged into it until it finishes.`;
+    }
+
+    return `${BOT_COMMENT_MARKER}
+## 🔍 Files Changed in this PR
+
+Hi! I've detected **${fileChanges.length} changed files** to analyze in this PR${filesList}${formatExcludedFiles(excluded, config.comments.verbosity)}${updateNote}${formatConfigErrors(configErrors)}
 
 ### Choose Analysis Option:
 
-- [ ] **Analyze and create new PR** - Create a separate PR with analysis files
-- [ ] **Analyze and add to comments** - Add analysis results as comments on this PR
+${options}
+
+**Instructions:** ${instructions}
 
-**Instructions:** Check one of the boxes above to proceed with analysis.
+---
+*🤖 Automated by Covlant App*`;
+  };
+
+  // After a push left nothing to analyse: no checkboxes, nothing to click
+  const createNoEligibleFilesComment = (headSha, { config = DEFAULT_CONFIG, excluded = [] } = {}) => {
+    return `${BOT_COMMENT_MARKER}
+## 🔍 Files Changed in this PR
+
+> ⚠️ **New commits pushed** - the file list was refreshed for \`${headSha.substring(0, 7)}\`.
+
+None of the changed files are eligible for analysis, so there is nothing to analyze right now.${formatExcludedFiles(excluded, config.comments.verbosity)}
+
+---
+*🤖 Automated by Covlant App*`;
+  };
+
+  const createConfigErrorComment = (configErrors) => {
+    return `${BOT_COMMENT_MARKER}
+## ⚠️ Configuration Problem${formatConfigErrors(configErrors)}
+
+No changed files are eligible for analysis with the remaining settings.
+
+---
+*🤖 Automated by Covlant App*`;
+  };
+
+  const createFileListErrorComment = (errorMessage) => {
+    return `${BOT_COMMENT_MARKER}
+## ❌ Could Not Read Changed Files
+
+I couldn't list the files changed in this PR, so no analysis options are available yet.
+
+**Error:** ${errorMessage}
+
+Push a new commit or use \`/covlant analyze pr\` to try again.
 
 ---
 *🤖 Automated by Covlant App*`;
   };
 
-  const createProcessingComment = (choice) => {
-    return `## 🔍 Files Changed in this PR
+  const formatProgress = (progress) => {
+    if (!progress) return '';
+    const percent = Number.isFinite(progress.percent) ? ` ${Math.round(progress.percent)}%` : '';
+    const message = progress.message ? ` - ${progress.message}` : '';
+    return `\n\n**Progress:** \`${progress.status}\`${percent}${message}`;
+  };
+
+  const createProcessingComment = (choice, job = null, { progress = null } = {}) => {
+    let attemptNote = job && job.attempts > 1
+      ? `\n\n*Retrying - attempt ${job.attempts} of ${job.maxAttempts}*`
+      : '';
+    attemptNote += formatProgress(progress);
+
+    return `${BOT_COMMENT_MARKER}
+## 🔍 Files Changed in this PR
 
 **Status:** 🔄 **UT is being generated...** 
 
-Please wait while I ${choice === 'create_pr' ? 'create analysis PR' : 'add analysis comments'}.
+Please wait while I ${choice === 'create_pr' ? 'create analysis PR' : 'add analysis comments'}.${attemptNote}
 
 ---
 *🤖 Automated by Covlant App*`;
   };
 
-  const createCompletedComment = (fileChanges, choice, result = null) => {
-    const filesList = fileChanges.map((file, index) => 
-      `${index + 1}. **${file.filename}** (${file.status}) - +${file.additions} -${file.deletions}`
-    ).join('\n');
+  const createCompletedComment = (fileChanges, choice, result = null, {
+    config = DEFAULT_CONFIG,
+    generatedFiles = [],
+    configErrors = [],
+    analysisPRUpdated = false,
+    rejectedFiles = [],
+    outdatedBy = null,
+    capped = false
+  } = {}) => {
+    const { verbosity } = config.comments;
+    const filesList = verbosity === 'minimal' ? '' : `:\n\n${formatFileList(fileChanges, { capped })}`;
+    const generatedList = verbosity === 'detailed' && generatedFiles.length
+      ? `\n\n**Generated Files:**\n${generatedFiles.map((path) => `- \`${path}\``).join('\n')}`
+      : '';
 
     const selectedAction = choice === 'create_pr' 
       ? '**Analyze and create new PR**'
       : '**Analyze and add to comments**';
 
-    const completionMessage = choice === 'create_pr' 
-      ? `Analysis PR created successfully! [View Analysis PR](${result})`
-      : 'Analysis results added as comments above successfully!';
+    let completionMessage = 'Analysis results posted as a review on this PR!';
+    if (choice === 'create_pr') {
+      completionMessage = !result
+        ? 'No test files were generated, so no analysis PR was needed.'
+        : analysisPRUpdated
+          ? `Analysis PR updated with new commits! [View Analysis PR](${result})`
+          : `Analysis PR created successfully! [View Analysis PR](${result})`;
+    }
 
-    return `## ✅ Processing Complete
+    const outdatedNote = outdatedBy
+      ? `\n\n${createOutdatedNote(outdatedBy)}`
+      : '';
 
-**Your Selection:** ${selectedAction}
+    return `${BOT_COMMENT_MARKER}
+## ✅ Processing Complete
 
-**Files Analyzed:** ${fileChanges.length} changed files in this PR:
+**Your Selection:** ${selectedAction}
 
-${filesList}
+**Files Analyzed:** ${fileChanges.length} changed files in this PR${filesList}
 
-**Result:** ${completionMessage}
+**Result:** ${completionMessage}${generatedList}${formatRejectedFiles(rejectedFiles)}${outdatedNote}${formatConfigErrors(configErrors)}
 
 ---
 *🤖 Automated by Covlant App*`;
   };
 
+  const createOutdatedNote = ({ analysedSha, headSha }) =>
+    `> ⚠️ **Outdated:** new commits (\`${headSha.substring(0, 7)}\`) were pushed while this analysis ran; these results were generated for \`${analysedSha.substring(0, 7)}\`.`;
+
+  // Takes the full list of changed files
   const createErrorComment = (fileChanges, errorMessage) => {
-    const filesList = fileChanges.map((file, index) => 
-      `${index + 1}. **${file.filename}** (${file.status}) - +${file.additions} -${file.deletions}`
-    ).join('\n');
+    const filesList = formatFileList(fileChanges, { capped: isCapped(fileChanges) });
 
-    return `## ❌ Processing Failed
+    return `${BOT_COMMENT_MARKER}
+## ❌ Processing Failed
 
 **Files Analyzed:** ${fileChanges.length} changed files in this PR:
 
@@ -134,6 +447,108 @@ ${filesList}
 
 **Error:** ${errorMessage}
 
+---
+*🤖 Automated by Covlant App*`;
+  };
+
+  // Why a queued job is not starting yet (see JobQueue.pause)
+  const formatPause = (pause) => `⏸️ Jobs for this installation are paused until ${pause.until}: ${pause.reason}`;
+
+  const createQueuedComment = (choice, paths = [], pause = null) => {
+    let scope = paths.length
+      ? `\n\n**Paths:** ${paths.map(p => `\`${p}\``).join(', ')}`
+      : '';
+    if (pause) {
+      scope += `\n\n> ${formatPause(pause)}. The analysis starts after that.`;
+    }
+
+    return `${BOT_COMMENT_MARKER}
+## 🔍 Analysis Requested
+
+**Status:** ⏳ Queued - I will ${choice === 'create_pr' ? 'create an analysis PR' : 'add analysis comments'} shortly.${scope}
+
+---
+*🤖 Automated by Covlant App*`;
+  };
+
+  const createCancelledComment = (choice) => {
+    return `${BOT_COMMENT_MARKER}
+## 🛑 Analysis Cancelled
+
+The request to ${choice === 'create_pr' ? 'create an analysis PR' : 'add analysis comments'} was cancelled.
+
+---
+*🤖 Automated by Covlant App*`;
+  };
+
+  const createHelpText = () => {
+    const commands = COMMAND_HELP
+      .map(({ usage, description }) => `- \`${COMMAND_PREFIX} ${usage}\` - ${description}`)
+      .join('\n');
+
+    return `**Available commands:**
+
+${commands}
+
+Paths are relative to the repository root and limit the analysis to changed files under them.`;
+  };
+
+  const requestedByText = ({ trigger, requestedBy }) => {
+    if (!requestedBy) return '';
+    return trigger === 'admin' ? ` via the admin API (key \`${requestedBy}\`)` : ` by @${requestedBy}`;
+  };
+
+  const createStatusText = (job, run = null) => {
+    if (!job) {
+      return "ℹ️ No analysis has been requested for this PR yet.";
+    }
+
+    const mode = job.payload.choice === 'create_pr' ? 'Analyze and create new PR' : 'Analyze and add to comments';
+    const lines = [
+      `**Latest analysis:** job #${job.id} - **${job.state}**`,
+      `- Mode: ${mode}`,
+      `- Attempts: ${job.attempts}/${job.maxAttempts}`,
+      `- Requested: ${job.createdAt}${requestedByText(job.payload)}`,
+    ];
+    if (job.payload.paths?.length) {
+      lines.push(`- Paths: ${job.payload.paths.map(p => `\`${p}\``).join(', ')}`);
+    }
+    if (run?.headSha) {
+      lines.push(`- Head SHA: \`${run.headSha.substring(0, 7)}\``);
+    }
+    if (run?.analysisId) {
+      lines.push(`- Analysis ID: \`${run.analysisId}\` (${run.generatedFiles.length} files generated)`);
+    }
+    const pause = job.state === 'queued' && jobQueue.pauseStatus(job.payload.installationId);
+    if (pause) {
+      lines.push(`- ${formatPause(pause)}`);
+    }
+    if (job.lastError) {
+      lines.push(`- Last error: ${job.lastError}`);
+    }
+    if (run?.resultUrl || job.result?.result) {
+      lines.push(`- Result: ${run?.resultUrl || job.result.result}`);
+    }
+    return lines.join('\n');
+  };
+
+  // How an unfinished job reads in replies: "Analysis is already ..."
+  const describeActiveJob = (job) =>
+    job.state === 'waiting' ? 'waiting for the analysis backend' : job.state;
+
+  const createMergedText = (job) =>
+    `ℹ️ Analysis is already ${describeActiveJob(job)} for this PR (job #${job.id}). Your new request was merged into it; progress is reported in the comment that job updates.`;
+
+  // The bot comment after its own checkbox was ticked while a run was in flight: unticked,
+  // with the merged note above the options (replacing any earlier one)
+  const createMergedCheckboxComment = (body, job) => body
+    .replace(/- \[x\] (\*\*Analyze and)/g, '- [ ] $1')
+    .replace(/\n\n> ℹ️ Analysis is already [^\n]*/g, '')
+    .replace('\n\n### Choose Analysis Option:', `\n\n> ${createMergedText(job)}\n\n### Choose Analysis Option:`);
+
+  const createCommandReplyComment = (message) => {
+    return `${message}
+
 ---
 *🤖 Automated by Covlant App*`;
   };
@@ -159,7 +574,7 @@ ${filesList}
     return null;
   }; 
 
-  const getPRDetails = async (prUrl, prNumber) => {
+  const getPRDetails = async (octokit, prUrl, prNumber) => {
     const { owner, repo } = parseGitHubUrl(prUrl);
     const prDetails = await octokit.pulls.get({
       owner,
@@ -175,106 +590,225 @@ ${filesList}
     };
   };
 
-  const processCreatePR = async (prUrl, prNumber, fileChanges, prDetails, issueData) => {
-    console.log("Creating analysis PR...");
+  /**
+   * Load the repository's effective `.covlant.yml` from the PR's base branch
+   */
+  const loadRepoConfig = (clients, repoFullName, baseRef) => {
+    const [owner, name] = repoFullName.split('/');
+    return clients.configService.load(owner, name, baseRef);
+  };
+
+  /**
+   * Drop files that are not worth analysing (deleted, excluded by config, generated,
+   * vendored, tests, docs, ...). `.gitattributes` is read from the PR head.
+   */
+  const selectEligibleFiles = async (clients, repoFullName, headSha, fileChanges, config) => {
+    const [owner, name] = repoFullName.split('/');
+    const gitattributes = await clients.configService.loadGitattributes(owner, name, headSha);
+    return filterChangedFiles(fileChanges, { config, gitattributes });
+  };
+
+  /**
+   * Report a finished analysis on the commit. The results are already on GitHub by then,
+   * so a failed report must not fail the run and have the job redo the analysis.
+   */
+  const reportComplete = async (statusService, ...args) => {
+    try {
+      await statusService.setComplete(...args);
+    } catch (error) {
+      logger.warn({ error: error.message, status: error.status }, "Failed to report the analysis result; the run still succeeded");
+    }
+  };
+
+  const processCreatePR = async (clients, prUrl, prNumber, fileChanges, prDetails, issueData, config, apiResponse) => {
+    const { gitService, statusService } = clients;
+    logger.info("Creating analysis PR");
     
     const prData = {
       number: prNumber,
       title: issueData.title,
       url: prUrl,
       author: issueData.user.login,
+      authorId: issueData.user.id,
       repository: issueData.repository.full_name,
       createdAt: issueData.created_at,
       baseBranch: prDetails.baseBranch,
       headBranch: prDetails.headBranch,
+      headSha: prDetails.commitSha,
     };
     
-    const analysisResult = await gitService.processPRAndCreateAnalysis(prData, fileChanges);
-    await statusService.setComplete(prUrl, prDetails.commitSha, prNumber, analysisResult.newPR?.url);
+    const analysisResult = await gitService.processPRAndCreateAnalysis(prData, fileChanges, config, { apiResponse });
+    await reportComplete(statusService, prUrl, prDetails.commitSha, prNumber, analysisResult.newPR?.url, {
+      mode: 'create_pr',
+      generatedFiles: analysisResult.apiResponse?.filePaths || [],
+      annotations: annotationsForChangedFiles(analysisResult.annotations, fileChanges),
+      rejectedFiles: analysisResult.rejectedFiles || [],
+      modes: config.modes
+    });
     
-    return analysisResult.newPR?.url;
+    return analysisResult;
   };
 
-  const processAddComments = async (prUrl, prNumber, fileChanges, commitSha) => {
-    console.log("Adding analysis as comments (NO PR creation)...");
-    
-    const apiResponse = await gitService.callAnalysisAPI(fileChanges);
-    
-    if (apiResponse?.filesToCreate && apiResponse.filesToCreate.length > 0) {
-      for (const file of apiResponse.filesToCreate) {
-        const fileCommentBody = `## 📁 Analysis Result: \`${file.path}\`
-
-**File Type:** ${file.type}
-**Status:** ${file.fileExists ? 'Update existing file' : 'Create new file'}
-
-### Content:
-\`\`\`${file.path.split('.').pop()}
-${file.content}
-\`\`\`
-
----
-*Generated by Covlant Analysis*`;
+  /**
+   * Post the generated tests as one review. Inline comments are dropped if GitHub refuses
+   * them (e.g. the diff moved on since the analysed commit) rather than losing the review.
+   */
+  const submitAnalysisReview = async (octokit, prUrl, prNumber, commitSha, review) => {
+    const { owner, repo } = parseGitHubUrl(prUrl);
+    const params = {
+      owner,
+      repo,
+      pull_number: prNumber,
+      commit_id: commitSha,
+      event: 'COMMENT',
+      body: review.body
+    };
 
-        await createPRComment(prUrl, prNumber, fileCommentBody);
-        console.log(`Added analysis comment for ${file.path}`);
+    try {
+      const response = await octokit.pulls.createReview({ ...params, comments: review.comments });
+      return response.data;
+    } catch (error) {
+      if (error.status !== 422 || review.comments.length === 0) {
+        throw error;
       }
-      
-      // Add summary comment
-      const summaryBody = `## ✅ Analysis Complete
-
-Added **${apiResponse.filesToCreate.length} analysis files** as comments above.
-
-**Files generated:**
-${apiResponse.filesToCreate.map(f => `- \`${f.path}\` (${f.type})`).join('\n')}
+      logger.warn({ error: error.message }, "Review comments rejected, posting the review without them");
+      const response = await octokit.pulls.createReview(params);
+      return response.data;
+    }
+  };
 
-*Note: Analysis results added as comments only - no additional PR was created.*`;
+  const processAddComments = async (clients, prUrl, prNumber, fileChanges, commitSha, apiResponse, config) => {
+    const { octokit, statusService } = clients;
+    logger.info("Posting analysis as a review");
+    
+    if (apiResponse?.filesToCreate && apiResponse.filesToCreate.length > 0) {
+      const review = buildAnalysisReview(apiResponse.filesToCreate, fileChanges, {
+        marker: ANALYSIS_RESULT_MARKER
+      });
+      await submitAnalysisReview(octokit, prUrl, prNumber, commitSha, review);
 
-      await createPRComment(prUrl, prNumber, summaryBody);
+      // Sections that did not fit in the review body
+      for (const body of review.continuations) {
+        await createPRComment(octokit, prUrl, prNumber, body);
+      }
+      logger.info({
+        files: apiResponse.filesToCreate.length,
+        inlineComments: review.comments.length,
+        continuations: review.continuations.length
+      }, "Posted analysis review");
     } else {
-      await createPRComment(prUrl, prNumber, `## 📝 Analysis Results\n\nNo analysis files were generated for this PR.`);
+      await createPRComment(octokit, prUrl, prNumber, `${ANALYSIS_RESULT_MARKER}\n## 📝 Analysis Results\n\nNo analysis files were generated for this PR.`);
     }
     
-    await statusService.setComplete(prUrl, commitSha, prNumber, null);
+    await reportComplete(statusService, prUrl, commitSha, prNumber, null, {
+      mode: 'add_comments',
+      generatedFiles: apiResponse?.filesToCreate?.map(f => f.path) || [],
+      annotations: annotationsForChangedFiles(apiResponse?.annotations, fileChanges),
+      modes: config.modes
+    });
+    return apiResponse;
   };
 
   // ==================== EVENT HANDLERS ====================
   
-  const handlePRCreated = async (pr, repo, sender) => {
-    console.log("Processing legitimate PR (not auto-generated):");
-    console.log("=== PULL REQUEST CREATED ===");
-    console.log("PR Number:", pr.number);
-    console.log("PR Title:", pr.title);
-    console.log("Branch:", pr.head.ref, "→", pr.base.ref);
-
-    // Fetch file changes
-    console.log("Fetching file changes...");
-    const fileChanges = await fetchPRFileChanges(pr.html_url);
-
-    console.log("=== FILE CHANGES ===");
-    fileChanges.forEach((file, index) => {
-      console.log(`${index + 1}. ${file.filename}`);
-      console.log(`   Status: ${file.status}`);
-      console.log(`   Changes: +${file.additions} -${file.deletions}`);
-      console.log(`   Raw URL: ${file.raw_url}`);
-      console.log("---");
+  const handlePRCreated = async (clients, installationId, pr, repo, sender) => {
+    logger.info({ title: pr.title, headBranch: pr.head.ref, baseBranch: pr.base.ref }, "Pull request opened");
+
+    let fileChanges;
+    try {
+      fileChanges = await clients.gitService.listPRFiles(pr.html_url);
+    } catch (error) {
+      await reportFileListError(clients.octokit, pr.html_url, pr.number, error);
+      return {
+        success: false,
+        message: `Failed to list changed files: ${error.message}`,
+      };
+    }
+
+    logger.debug({
+      files: fileChanges.map((file) => ({
+        filename: file.filename,
+        status: file.status,
+        additions: file.additions,
+        deletions: file.deletions
+      }))
+    }, "Changed files");
+
+    runStore.upsertPullRequest({
+      repo: repo.full_name,
+      prNumber: pr.number,
+      installationId,
+      title: pr.title,
+      headBranch: pr.head.ref,
+      baseBranch: pr.base.ref
     });
-    console.log("=== END FILE CHANGES ===");
 
-    // Create comment with file changes and options (NO processing yet)
-    if (process.env.GITHUB_TOKEN && fileChanges.length > 0) {
+    const { config, errors: configErrors } = await loadRepoConfig(clients, repo.full_name, pr.base.ref);
+    const { eligible, excluded } = await selectEligibleFiles(clients, repo.full_name, pr.head.sha, fileChanges, config);
+
+    // Create comment with file changes and options (NO processing yet, unless auto-run is configured)
+    let commentId = null;
+    if (eligible.length > 0) {
+      try {
+        const commentBody = createInitialComment(eligible, {
+          config,
+          excluded,
+          configErrors,
+          capped: isCapped(fileChanges)
+        });
+        const comment = await createPRComment(clients.octokit, pr.html_url, pr.number, commentBody);
+        commentId = comment.id;
+        runStore.setBotComment(repo.full_name, pr.number, comment.id);
+        logger.info({ commentId, eligible: eligible.length, excluded: excluded.length }, "Offered analysis options");
+      } catch (error) {
+        logger.error({ error: error.message }, "Failed to create analysis comment");
+      }
+    } else if (configErrors.length > 0) {
+      try {
+        await createPRComment(clients.octokit, pr.html_url, pr.number, createConfigErrorComment(configErrors));
+      } catch (error) {
+        logger.error({ error: error.message }, "Failed to report config errors");
+      }
+    }
+
+    // Automatic runs act for whoever opened the PR, so they need the same rights as a click;
+    // anyone else gets the checkboxes for a maintainer to tick
+    let job = null;
+    let merged = false;
+    if (commentId && config.trigger === 'auto'
+      && !(await authorizeTrigger(clients, repo, pr.number, sender, 'auto', { notify: false }))) {
+      ({ job, merged } = jobQueue.enqueueExclusive(
+        prLockKey(repo, pr.number),
+        config.defaultMode,
+        buildJobPayload(installationId, pr, repo, {
+          commentId,
+          choice: config.defaultMode,
+          trigger: 'auto',
+          requestedBy: sender?.login
+        })
+      ));
+      logger.info({ jobId: job.id, merged }, "Automatic analysis queued");
+    }
+
+    if (eligible.length > 0) {
       try {
-        console.log("Creating comment with file changes and analysis options...");
-        const commentBody = createInitialComment(fileChanges);
-        await createPRComment(pr.html_url, pr.number, commentBody);
-        console.log("Comment created with analysis options, waiting for user choice...");
+        if (job && !merged) {
+          await clients.statusService.setQueued(pr.html_url, pr.head.sha, pr.number,
+            { pause: jobQueue.pauseStatus(installationId) });
+        } else {
+          await clients.statusService.offerActions(pr.html_url, pr.head.sha, pr.number, { modes: config.modes });
+        }
       } catch (error) {
-        console.error("Failed to create analysis comment:", error.message);
+        logger.error({ error: error.message }, "Failed to offer analysis actions");
       }
     }
 
     return {
       success: true,
       message: "Pull request details captured with file changes",
+      configErrors,
+      jobId: job?.id || null,
+      merged,
       pr: {
         number: pr.number,
         title: pr.title,
@@ -284,133 +818,1266 @@ ${apiResponse.filesToCreate.map(f => `- \`${f.path}\` (${f.type})`).join('\n')}
         createdAt: pr.created_at,
         baseBranch: pr.base.ref,
         headBranch: pr.head.ref,
-        fileChanges: fileChanges,
+        fileChanges: eligible,
+        excludedFiles: excluded.map(({ filename, reason }) => ({ filename, reason })),
       }
     };
   };
 
-  const handleCommentEdited = async (comment, issue, repo) => {
-    console.log("PR Comment edited:", {
-      prNumber: issue.number,
-      commentId: comment.id,
-      repository: repo.full_name,
-    });
-    
-    const choice = detectCheckboxChoice(comment.body);
-    console.log("Detected choice:", choice);
-    
-    if (!choice) {
+  const prLockKey = (repo, prNumber) => `${repo.full_name}#${prNumber}`;
+
+  const finishRun = (run, state, fields) => {
+    runStore.finishRun(run.id, state, fields);
+    metrics.recordRun(run.mode, state);
+  };
+
+  const buildJobPayload = (installationId, issue, repo, { commentId, choice, paths = [], trigger, requestedBy }) => ({
+    installationId,
+    prUrl: issue.html_url.replace('/issues/', '/pull/'),
+    prNumber: issue.number,
+    commentId,
+    choice,
+    paths,
+    trigger,
+    requestedBy,
+    // Jobs add their planned writes to the plan of the request that queued them
+    ...(dryRun.isEnabled() ? { dryRunPlanId: dryRun.currentPlanId() } : {}),
+    // Lets the job's log lines be matched to the delivery that queued it
+    deliveryId: getLogContext().deliveryId ?? null,
+    repository: { full_name: repo.full_name },
+    issue: {
+      title: issue.title,
+      user: { login: issue.user.login, id: issue.user.id },
+      created_at: issue.created_at
+    }
+  });
+
+  const handlePRSynchronize = async (clients, installationId, pr, repo, sender) => {
+    logger.info({ headSha: pr.head.sha }, "Pull request updated");
+
+    const { octokit } = clients;
+    const prUrl = pr.html_url;
+    let fileChanges;
+    try {
+      fileChanges = await clients.gitService.listPRFiles(prUrl);
+    } catch (error) {
+      await reportFileListError(octokit, prUrl, pr.number, error);
       return {
-        success: true,
-        message: "No valid choice detected",
-        choice: 'none'
+        success: false,
+        message: `Failed to list changed files: ${error.message}`,
       };
     }
 
-    try {
-      console.log(`Processing choice: ${choice}`);
-      
-      const prUrl = issue.html_url.replace('/issues/', '/pull/');
-      
-      // Update comment to show processing
-      const processingComment = createProcessingComment(choice);
-      await updateComment(prUrl, comment.id, processingComment);
-      
-      // Get PR details and file changes
-      const prDetails = await getPRDetails(prUrl, issue.number);
-      await statusService.setProcessing(prUrl, prDetails.commitSha, issue.number);
-      
-      const fileChanges = await fetchPRFileChanges(prUrl);
-      
-      let result = null;
-      
-      // Process based on choice
-      if (choice === 'create_pr') {
-        result = await processCreatePR(prUrl, issue.number, fileChanges, prDetails, {
-          title: issue.title,
-          user: issue.user,
-          repository: repo,
-          created_at: issue.created_at
-        });
-      } else if (choice === 'add_comments') {
-        await processAddComments(prUrl, issue.number, fileChanges, prDetails.commitSha);
+    runStore.upsertPullRequest({
+      repo: repo.full_name,
+      prNumber: pr.number,
+      installationId,
+      title: pr.title,
+      headBranch: pr.head.ref,
+      baseBranch: pr.base.ref
+    });
+
+    // Earlier results describe the old code
+    const previousRun = runStore.latestRun(repo.full_name, pr.number, { state: 'succeeded' });
+    const previousResult = previousRun?.resultUrl || null;
+    const outdatedComments = await markAnalysisCommentsOutdated(octokit, prUrl, pr.number);
+
+    if (previousRun?.analysisPrNumber) {
+      try {
+        await createPRComment(octokit, previousResult, previousRun.analysisPrNumber,
+          `⚠️ New commits were pushed to #${pr.number} (\`${pr.head.sha.substring(0, 7)}\`). This analysis was generated for older code and is outdated.\n\n---\n*🤖 Automated by Covlant App*`);
+      } catch (error) {
+        logger.warn({ error: error.message, analysisPrNumber: previousRun.analysisPrNumber }, "Failed to flag analysis PR as outdated");
       }
-      
-      // Update comment with completion message
-      const completedComment = createCompletedComment(fileChanges, choice, result);
-      await updateComment(prUrl, comment.id, completedComment);
-      
-    } catch (error) {
-      console.error("Error processing choice:", error.message);
-      
-      // Handle error and restore comment
+    }
+
+    const { config, errors: configErrors } = await loadRepoConfig(clients, repo.full_name, pr.base.ref);
+    const { eligible, excluded } = await selectEligibleFiles(clients, repo.full_name, pr.head.sha, fileChanges, config);
+
+    // An analysis of the old head still in flight finishes and flags its own result as outdated
+    const inFlight = jobQueue.findActive(prLockKey(repo, pr.number));
+
+    // Refresh the existing comment (checkboxes included) instead of posting a new one
+    let commentBody;
+    if (eligible.length > 0) {
+      commentBody = createInitialComment(eligible, {
+        headSha: pr.head.sha,
+        previousResult,
+        inFlightJob: inFlight,
+        config,
+        excluded,
+        configErrors,
+        capped: isCapped(fileChanges)
+      });
+    } else if (configErrors.length > 0) {
+      commentBody = createConfigErrorComment(configErrors);
+    } else {
+      commentBody = createNoEligibleFilesComment(pr.head.sha, { config, excluded });
+    }
+    let botCommentId = runStore.getPullRequest(repo.full_name, pr.number)?.botCommentId
+      || (await findBotComment(octokit, prUrl, pr.number))?.id;
+    if (botCommentId && inFlight?.payload.commentId === botCommentId) {
+      // That job keeps reporting in the bot comment; the refreshed options go in a new one
+      logger.info({ jobId: inFlight.id, commentId: botCommentId }, "Bot comment in use by a job, posting a new one");
+      botCommentId = null;
+    }
+    if (botCommentId) {
+      await updateComment(octokit, prUrl, botCommentId, commentBody);
+    } else if (eligible.length > 0 || configErrors.length > 0) {
+      botCommentId = (await createPRComment(octokit, prUrl, pr.number, commentBody)).id;
+    }
+    if (botCommentId) {
+      runStore.setBotComment(repo.full_name, pr.number, botCommentId);
+    }
+
+    // Optionally start a new run on the new head right away
+    const autoChoice = process.env.AUTO_ANALYZE_ON_PUSH
+      || (config.trigger === 'auto' ? config.defaultMode : null);
+    // Only for pushes by users who could have started it themselves (see handlePRCreated)
+    let job = null;
+    let merged = false;
+    if (botCommentId && eligible.length > 0 && config.modes.includes(autoChoice)
+      && !(await authorizeTrigger(clients, repo, pr.number, sender, 'synchronize', { notify: false }))) {
+      ({ job, merged } = jobQueue.enqueueExclusive(
+        prLockKey(repo, pr.number),
+        autoChoice,
+        buildJobPayload(installationId, pr, repo, {
+          commentId: botCommentId,
+          choice: autoChoice,
+          trigger: 'synchronize',
+          requestedBy: sender?.login
+        })
+      ));
+      logger.info({ jobId: job.id, merged }, "Automatic re-analysis queued");
+    }
+
+    if (eligible.length > 0) {
       try {
-        const prUrl = issue.html_url.replace('/issues/', '/pull/');
-        const prDetails = await getPRDetails(prUrl, issue.number);
-        await statusService.setError(prUrl, prDetails.commitSha, issue.number, error.message);
-        
-        const fileChanges = await fetchPRFileChanges(prUrl);
-        const errorComment = createErrorComment(fileChanges, error.message);
-        await updateComment(prUrl, comment.id, errorComment);
-      } catch (restoreError) {
-        console.error("Failed to restore comment after error:", restoreError.message);
+        if (job && !merged) {
+          await clients.statusService.setQueued(prUrl, pr.head.sha, pr.number,
+            { pause: jobQueue.pauseStatus(installationId) });
+        } else {
+          await clients.statusService.offerActions(prUrl, pr.head.sha, pr.number, { modes: config.modes });
+        }
+      } catch (error) {
+        logger.error({ error: error.message }, "Failed to update analysis check");
       }
     }
 
     return {
       success: true,
-      message: "Comment processed",
-      choice: choice || 'none',
+      message: "Pull request update processed",
+      pr: {
+        number: pr.number,
+        headSha: pr.head.sha,
+        fileChanges: eligible.length,
+      },
+      configErrors,
+      outdatedComments,
+      commentId: botCommentId || null,
+      jobId: job?.id || null,
+      merged,
     };
   };
 
-  // Function to fetch PR file changes from GitHub API
-  const fetchPRFileChanges = async (prUrl) => {
+  /**
+   * Put the bot comment back the way it was before a refused checkbox click
+   */
+  const restoreCheckboxes = async (octokit, prUrl, comment, changes) => {
+    const previous = changes?.body?.from;
+    const body = previous && !detectCheckboxChoice(previous)
+      ? previous
+      : comment.body.replace(/- \[x\] (\*\*Analyze and)/g, '- [ ] $1');
     try {
-      // Convert PR URL to API URL for files
-      // From: https://github.com/owner/repo/pull/123
-      // To: https://api.github.com/repos/owner/repo/pulls/123/files
-      const apiUrl =
-        prUrl
-          .replace("github.com", "api.github.com/repos")
-          .replace("/pull/", "/pulls/") + "/files";
-
-      console.log("Fetching file changes from:", apiUrl);
-
-      const response = await fetch(apiUrl);
-      if (!response.ok) {
-        throw new Error(
-          `GitHub API error: ${response.status} ${response.statusText}`
-        );
-      }
-
-      const files = await response.json();
-      console.log(`Found ${files.length} changed files`);
-
-      return files.map((file) => ({
-        filename: file.filename,
-        status: file.status, // added, modified, deleted, renamed
-        additions: file.additions,
-        deletions: file.deletions,
-        changes: file.changes,
-        patch: file.patch, // The actual diff
-        blob_url: file.blob_url,
-        raw_url: file.raw_url,
-      }));
+      await updateComment(octokit, prUrl, comment.id, body);
     } catch (error) {
-      console.error("Error fetching PR file changes:", error.message);
-      return [];
+      // Already logged; the refusal reply still explains what happened
     }
   };
 
-  // ==================== MAIN WEBHOOK ENDPOINT ====================
-  
-  fastify.post("/", async (request, reply) => {
-    const { body } = request;
-    const eventType = request.headers["x-github-event"];
+  const handleCommentEdited = async (clients, installationId, comment, issue, repo, sender, changes) => {
+    // Only the app's own "Files Changed" comment carries the analysis checkboxes; the stored ID
+    // wins, and without one the comment must at least be written by a bot
+    const botCommentId = runStore.getPullRequest(repo.full_name, issue.number)?.botCommentId;
+    const isBotComment = comment.body?.includes(BOT_COMMENT_MARKER)
+      && (botCommentId ? botCommentId === comment.id : comment.user?.type === 'Bot');
+    if (!isBotComment) {
+      return { success: true, message: "Not the bot comment - ignored", choice: 'none' };
+    }
 
-    console.log("GitHub webhook received!");
-    console.log("Event type:", eventType);
+    const choice = detectCheckboxChoice(comment.body);
+    logger.debug({ commentId: comment.id, choice }, "Pull request comment edited");
+    
+    if (!choice) {
+      return {
+        success: true,
+        message: "No valid choice detected",
+        choice: 'none'
+      };
+    }
+
+    const prUrl = issue.html_url.replace('/issues/', '/pull/');
+
+    const refused = await authorizeTrigger(clients, repo, issue.number, sender, 'checkbox');
+    if (refused) {
+      await restoreCheckboxes(clients.octokit, prUrl, comment, changes);
+      return { ...refused, choice };
+    }
+
+    if (!botCommentId) {
+      runStore.setBotComment(repo.full_name, issue.number, comment.id);
+    }
+
+    // The workflow can take minutes - hand it to a worker and answer GitHub right away.
+    // Only one run per PR may be in flight; further triggers are merged into it.
+    const { job, merged } = jobQueue.enqueueExclusive(
+      prLockKey(repo, issue.number),
+      choice,
+      buildJobPayload(installationId, issue, repo, {
+        commentId: comment.id,
+        choice,
+        trigger: 'checkbox',
+        requestedBy: sender?.login
+      })
+    );
+
+    if (merged) {
+      logger.info({ jobId: job.id }, "Analysis already in flight, trigger merged");
+      // When the job in flight reports on this very comment, the note goes into it (the job
+      // rewrites it when it reports); otherwise a reply says where to look
+      try {
+        if (job.payload.commentId === comment.id) {
+          await updateComment(clients.octokit, prUrl, comment.id, createMergedCheckboxComment(comment.body, job));
+        } else {
+          await createPRComment(clients.octokit, prUrl, issue.number, createCommandReplyComment(createMergedText(job)));
+        }
+      } catch (error) {
+        // Already logged; the trigger is merged either way
+      }
+
+      return {
+        success: true,
+        message: "Analysis already in progress for this PR - trigger merged",
+        choice,
+        jobId: job.id,
+        merged: true,
+      };
+    }
+
+    // A paused job may not start for a while; the ticked comment says why until it does
+    const pause = jobQueue.pauseStatus(installationId);
+    if (pause) {
+      try {
+        await updateComment(clients.octokit, prUrl, comment.id, createQueuedComment(choice, [], pause));
+      } catch (error) {
+        // Already logged; the job is queued either way
+      }
+    }
+
+    return {
+      success: true,
+      message: "Analysis queued",
+      choice,
+      jobId: job.id,
+    };
+  };
+
+  const addReaction = async (octokit, prUrl, commentId, content) => {
+    try {
+      const { owner, repo } = parseGitHubUrl(prUrl);
+      await octokit.reactions.createForIssueComment({
+        owner,
+        repo,
+        comment_id: commentId,
+        content
+      });
+    } catch (error) {
+      logger.warn({ error: error.message, commentId }, "Failed to add reaction");
+    }
+  };
+
+  const createUnauthorizedText = (sender, decision) => {
+    if (decision.reason === 'lookup_failed') {
+      return `⚠️ @${sender.login}, your permissions on this repository could not be checked right now, so no analysis was started. Please try again in a few minutes.`;
+    }
+    return `👋 Thanks for your interest, @${sender?.login}! Starting or cancelling an analysis needs ${triggerAuth.describeRequirement()}, so nothing was started. A maintainer can trigger it for you.`;
+  };
+
+  /**
+   * Check that the user behind a trigger may start analyses. Returns null when allowed;
+   * otherwise the refusal is recorded, answered on the PR (bots, and `notify: false`
+   * callers, are refused silently) and returned as the webhook result.
+   */
+  const authorizeTrigger = async (clients, repo, prNumber, sender, trigger, { notify = true } = {}) => {
+    const decision = await triggerAuth.authorize(clients.octokit, repo.full_name, sender);
+    if (decision.allowed) {
+      return null;
+    }
+
+    logger.info({
+      user: sender?.login,
+      trigger,
+      reason: decision.reason,
+      permission: decision.permission,
+    }, "Trigger refused");
+    runStore.recordEvent({
+      repo: repo.full_name,
+      prNumber,
+      action: 'trigger_refused',
+      details: { user: sender?.login ?? null, trigger, reason: decision.reason, permission: decision.permission ?? null }
+    });
+
+    if (notify && decision.reason !== 'bot') {
+      try {
+        await createPRComment(clients.octokit, `${repo.html_url}/pull/${prNumber}`, prNumber,
+          createCommandReplyComment(createUnauthorizedText(sender, decision)));
+      } catch (error) {
+        // Already logged; the trigger stays refused either way
+      }
+    }
+
+    return {
+      success: true,
+      unauthorized: true,
+      message: `${sender?.login || 'Sender'} is not authorized to trigger analyses`,
+      reason: decision.reason,
+    };
+  };
+
+  /**
+   * Wrap up a job cancelled while no worker was running it (queued, or waiting for the
+   * analysis backend): nothing else would finish its run or update its check and comment
+   */
+  const reportCancelledJob = async (clients, job) => {
+    const { payload } = job;
+    const run = payload.resume ? runStore.getRun(payload.resume.runId) : runStore.findRunByJob(job.id);
+    if (run && ['running', 'waiting'].includes(run.state)) {
+      finishRun(run, 'cancelled');
+      if (run.headSha) {
+        try {
+          await clients.statusService.setSkipped(payload.prUrl, run.headSha, payload.prNumber, 'analysis cancelled');
+        } catch (error) {
+          // Already logged; the comment below still says so
+        }
+      }
+    }
+    await updateComment(clients.octokit, payload.prUrl, payload.commentId, createCancelledComment(payload.choice));
+  };
+
+  /**
+   * Queue an analysis requested by a slash command or check run action; the worker
+   * reports progress in a new comment since the original bot comment may be gone
+   */
+  const queueAnalysis = async (clients, installationId, issue, repo, sender, choice, paths, trigger = 'command') => {
+    const prUrl = issue.html_url.replace('/issues/', '/pull/');
+    const lockKey = prLockKey(repo, issue.number);
+
+    const active = jobQueue.findActive(lockKey);
+    if (active) {
+      await createPRComment(clients.octokit, prUrl, issue.number,
+        createCommandReplyComment(`ℹ️ Analysis is already ${describeActiveJob(active)} for this PR (job #${active.id}). Use \`/covlant cancel\` to stop it first.`));
+      return { success: true, message: "Analysis already in progress", jobId: active.id, merged: true };
+    }
+
+    const statusComment = await createPRComment(clients.octokit, prUrl, issue.number,
+      createQueuedComment(choice, paths, jobQueue.pauseStatus(installationId)));
+    const { job, merged } = jobQueue.enqueueExclusive(
+      lockKey,
+      choice,
+      buildJobPayload(installationId, issue, repo, {
+        commentId: statusComment.id,
+        choice,
+        paths,
+        trigger,
+        requestedBy: sender.login
+      })
+    );
+
+    if (merged) {
+      // Lost a race with another trigger; this comment will see no progress, so say so for good
+      await updateComment(clients.octokit, prUrl, statusComment.id, createCommandReplyComment(createMergedText(job)));
+    }
+
+    return { success: true, message: "Analysis queued", choice, jobId: job.id, merged };
+  };
+
+  const handleCommentCreated = async (clients, installationId, comment, issue, repo, sender) => {
+    const command = parseCommand(comment.body);
+    if (!command) {
+      return { success: true, message: "No command detected" };
+    }
+
+    logger.info({ command: command.raw, sender: sender.login }, "Slash command received");
+
+    const { octokit } = clients;
+    const prUrl = issue.html_url.replace('/issues/', '/pull/');
+    const reply = (message) =>
+      createPRComment(octokit, prUrl, issue.number, createCommandReplyComment(message));
+
+    if (command.error) {
+      await addReaction(octokit, prUrl, comment.id, 'confused');
+      await reply(`❌ ${command.error}\n\n${createHelpText()}`);
+      return { success: false, message: command.error, command: command.command };
+    }
+
+    // Status and help are for everyone; the rest changes what runs on the PR
+    if (['analyze', 'rerun', 'cancel'].includes(command.command)) {
+      const refused = await authorizeTrigger(clients, repo, issue.number, sender, 'command');
+      if (refused) {
+        return { ...refused, command: command.command };
+      }
+    }
+
+    await addReaction(octokit, prUrl, comment.id, 'eyes');
+    const lockKey = prLockKey(repo, issue.number);
+
+    switch (command.command) {
+      case 'analyze': {
+        let mode = command.mode;
+        if (!mode) {
+          const pr = await getPRAsIssue(octokit, repo, issue.number);
+          mode = (await loadRepoConfig(clients, repo.full_name, pr.base.ref)).config.defaultMode;
+        }
+        return queueAnalysis(clients, installationId, issue, repo, sender, mode, command.paths);
+      }
+
+      case 'rerun': {
+        const previous = runStore.latestRun(repo.full_name, issue.number);
+        if (!previous) {
+          await reply("❌ There is no previous analysis to rerun. Use `/covlant analyze pr` or `/covlant analyze comments`.");
+          return { success: false, message: "Nothing to rerun" };
+        }
+        const paths = command.paths.length ? command.paths : previous.paths;
+        return queueAnalysis(clients, installationId, issue, repo, sender, previous.mode, paths);
+      }
+
+      case 'cancel': {
+        const active = jobQueue.findActive(lockKey);
+        if (!active) {
+          await reply("ℹ️ No analysis is queued or running for this PR.");
+          return { success: true, message: "Nothing to cancel" };
+        }
+        const cancelled = jobQueue.cancel(active.id);
+        if (cancelled?.state === 'cancelled') {
+          await reportCancelledJob(clients, active);
+          await reply(active.state === 'waiting'
+            ? `🛑 Cancelled the analysis waiting for the analysis backend (job #${active.id}); its result will be ignored.`
+            : `🛑 Cancelled queued analysis (job #${active.id}).`);
+        } else {
+          await reply(`🛑 Stopping analysis job #${active.id} - it will end after its current step.`);
+        }
+        return { success: true, message: "Cancellation requested", cancelledJobId: active.id };
+      }
+
+      case 'status': {
+        const job = jobQueue.findLatest(lockKey);
+        await reply(createStatusText(job, job && runStore.findRunByJob(job.id)));
+        return { success: true, message: "Status reported" };
+      }
+
+      case 'help':
+      default:
+        await reply(createHelpText());
+        return { success: true, message: "Help posted" };
+    }
+  };
+
+  /**
+   * Load a PR in the shape the comment handlers use for `issue`
+   */
+  const getPRAsIssue = async (octokit, repo, prNumber) => {
+    const [owner, name] = repo.full_name.split('/');
+    const { data } = await octokit.pulls.get({ owner, repo: name, pull_number: prNumber });
+    return data;
+  };
+
+  const handleCheckRunAction = async (clients, installationId, checkRun, requestedAction, repo, sender) => {
+    const choice = requestedAction?.identifier;
+    logger.info({ checkRunId: checkRun.id, action: choice, sender: sender.login }, "Check run action requested");
+
+    if (!['create_pr', 'add_comments'].includes(choice)) {
+      return { success: false, message: `Unknown check run action: ${choice}` };
+    }
+
+    const prRefs = checkRun.pull_requests || [];
+    if (prRefs.length === 0) {
+      return { success: true, message: "Check run is not attached to a pull request" };
+    }
+
+    const results = [];
+    for (const prRef of prRefs) {
+      const refused = await authorizeTrigger(clients, repo, prRef.number, sender, 'check_run');
+      if (refused) {
+        results.push({ prNumber: prRef.number, ...refused });
+        continue;
+      }
+      const pr = await getPRAsIssue(clients.octokit, repo, prRef.number);
+      const result = await queueAnalysis(clients, installationId, pr, repo, sender, choice, [], 'check_run');
+      if (result.jobId && !result.merged) {
+        await clients.statusService.setQueued(pr.html_url, checkRun.head_sha, pr.number,
+          { pause: jobQueue.pauseStatus(installationId) });
+      }
+      results.push({ prNumber: pr.number, ...result });
+    }
+
+    return {
+      success: true,
+      message: "Check run action processed",
+      choice,
+      jobId: results.find((r) => r.jobId && !r.merged)?.jobId || null,
+      merged: results.every((r) => r.merged),
+      unauthorized: results.every((r) => r.unauthorized),
+      results,
+    };
+  };
+
+  /**
+   * "Re-run" on the check suite/run repeats the last analysis of each PR
+   */
+  const handleCheckRerequested = async (clients, installationId, headSha, prRefs, repo, sender) => {
+    logger.info({ headSha, pullRequests: prRefs.map((p) => p.number) }, "Check re-run requested");
+
+    const results = [];
+    for (const prRef of prRefs) {
+      const refused = await authorizeTrigger(clients, repo, prRef.number, sender, 'check_rerun');
+      if (refused) {
+        results.push({ prNumber: prRef.number, ...refused });
+        continue;
+      }
+      const pr = await getPRAsIssue(clients.octokit, repo, prRef.number);
+      const previous = runStore.latestRun(repo.full_name, pr.number);
+
+      if (!previous) {
+        // Nothing ran yet - offer the choice again
+        const { config } = await loadRepoConfig(clients, repo.full_name, pr.base.ref);
+        await clients.statusService.offerActions(pr.html_url, headSha, pr.number, { modes: config.modes });
+        results.push({ prNumber: pr.number, success: true, message: "Analysis options offered" });
+        continue;
+      }
+
+      const result = await queueAnalysis(clients, installationId, pr, repo, sender, previous.mode, previous.paths, 'check_rerun');
+      if (result.jobId && !result.merged) {
+        await clients.statusService.setQueued(pr.html_url, headSha, pr.number,
+          { pause: jobQueue.pauseStatus(installationId) });
+      }
+      results.push({ prNumber: pr.number, ...result });
+    }
+
+    return {
+      success: true,
+      message: "Check re-run processed",
+      jobId: results.find((r) => r.jobId && !r.merged)?.jobId || null,
+      merged: results.length > 0 && results.every((r) => r.merged),
+      unauthorized: results.length > 0 && results.every((r) => r.unauthorized),
+      results,
+    };
+  };
+
+  /**
+   * Stop work for a closed PR and tidy up its analysis PRs
+   */
+  const handlePRClosed = async (clients, installationId, pr, repo) => {
+    logger.info({ merged: Boolean(pr.merged) }, "Pull request closed");
+
+    runStore.upsertPullRequest({ repo: repo.full_name, prNumber: pr.number, installationId });
+
+    const active = jobQueue.findActive(prLockKey(repo, pr.number));
+    if (active) {
+      jobQueue.cancel(active.id);
+      runStore.recordEvent({
+        repo: repo.full_name,
+        prNumber: pr.number,
+        runId: active.payload.resume?.runId ?? runStore.findRunByJob(active.id)?.id ?? null,
+        action: 'job_cancelled',
+        details: { jobId: active.id, reason: 'source PR closed' }
+      });
+    }
+
+    // Analyses still out with the backend: their callbacks will be refused
+    for (const waiting of runStore.listRuns({ repo: repo.full_name, prNumber: pr.number, state: 'waiting' })) {
+      finishRun(waiting, 'cancelled', { error: 'source PR closed' });
+      runStore.recordEvent({
+        repo: repo.full_name,
+        prNumber: pr.number,
+        runId: waiting.id,
+        action: 'analysis_cancelled',
+        details: { analysisId: waiting.analysisId, reason: 'source PR closed' }
+      });
+    }
+
+    const { config } = await loadRepoConfig(clients, repo.full_name, pr.base.ref);
+    const analysisPRs = await lifecycle.handleSourceClosed(clients.octokit, repo.full_name, pr, config.lifecycle);
+
+    return {
+      success: true,
+      message: "Pull request close processed",
+      merged: Boolean(pr.merged),
+      cancelledJobId: active?.id || null,
+      analysisPRs,
+    };
+  };
+
+  // ==================== BACKGROUND JOBS ====================
+
+  /**
+   * The result an analysis callback handed to a resumed job
+   */
+  const resumedAnalysis = ({ analysisId, result, error }) => {
+    if (error) {
+      throw new AnalysisAPIError(`Analysis ${analysisId} failed: ${error}`, { retryable: false });
+    }
+    return { ...result, analysisId };
+  };
+
+  /**
+   * `{ analysedSha, headSha }` when the PR's head has moved on from the analysed commit, else null
+   */
+  const findNewerHead = async (octokit, prUrl, prNumber, analysedSha) => {
+    try {
+      const { commitSha } = await getPRDetails(octokit, prUrl, prNumber);
+      return commitSha !== analysedSha ? { analysedSha, headSha: commitSha } : null;
+    } catch (error) {
+      logger.warn({ error: error.message }, "Failed to check the PR head after the analysis");
+      return null;
+    }
+  };
+
+  /**
+   * Mark a result generated for an older head as outdated: the analysis PR gets a note, a
+   * posted review is flagged like on any push
+   */
+  const flagResultOutdated = async (octokit, prUrl, prNumber, choice, run, outdatedBy) => {
+    try {
+      if (choice === 'create_pr' && run?.analysisPrNumber) {
+        await createPRComment(octokit, run.resultUrl, run.analysisPrNumber,
+          createCommandReplyComment(`${createOutdatedNote(outdatedBy)} See #${prNumber} for the current state.`));
+      } else if (choice === 'add_comments') {
+        await markAnalysisCommentsOutdated(octokit, prUrl, prNumber);
+      }
+    } catch (error) {
+      logger.warn({ error: error.message }, "Failed to flag the analysis result as outdated");
+    }
+  };
+
+  // Largest API payload kept in a run's history; bigger ones are stored as a preview
+  const MAX_HISTORY_PAYLOAD = 64 * 1024;
+
+  const historyPayload = (value) => {
+    const json = JSON.stringify(value);
+    return json.length <= MAX_HISTORY_PAYLOAD
+      ? value
+      : { truncated: true, size: json.length, preview: json.slice(0, MAX_HISTORY_PAYLOAD) };
+  };
+
+  const runAnalysisJob = async (payload, job) => {
+    const { installationId, prUrl, prNumber, commentId, choice, paths = [] } = payload;
+    const repoName = payload.repository.full_name;
+    const clients = getClients(installationId);
+    const { octokit, statusService } = clients;
+    let prDetails = null;
+    let modes; // enabled analysis modes, once the repository config is loaded
+
+    // One history entry per job, reused across retries; a resumed job continues its original run
+    const existingRun = payload.resume
+      ? runStore.getRun(payload.resume.runId)
+      : runStore.findRunByJob(job.id);
+    const run = existingRun?.state === 'running'
+      ? existingRun
+      : runStore.startRun({
+          repo: repoName,
+          prNumber,
+          jobId: job.id,
+          trigger: payload.trigger,
+          mode: choice,
+          paths,
+          requestedBy: payload.requestedBy
+        });
+    const recordRunEvent = (action, details) =>
+      runStore.recordEvent({ repo: repoName, prNumber, runId: run.id, action, details });
+    addLogContext({ runId: run.id });
+
+    try {
+      logger.info({ choice, attempt: job.attempts, resumed: Boolean(payload.resume) }, "Processing analysis");
+
+      // Update comment to show processing
+      const processingComment = createProcessingComment(choice, job);
+      await updateComment(octokit, prUrl, commentId, processingComment);
+      
+      // Get PR details and file changes
+      prDetails = await getPRDetails(octokit, prUrl, prNumber);
+      if (payload.resume && run.headSha) {
+        // The delivered result belongs to the commit that was analysed
+        prDetails = { ...prDetails, commitSha: run.headSha };
+      }
+      runStore.updateRun(run.id, { headSha: prDetails.commitSha });
+      await statusService.setProcessing(prUrl, prDetails.commitSha, prNumber);
+      
+      const { config, errors: configErrors } = await loadRepoConfig(
+        clients, repoName, prDetails.baseBranch);
+      modes = config.modes;
+      if (!config.modes.includes(choice)) {
+        const reason = `\`${choice}\` is disabled by \`${CONFIG_FILENAME}\` (enabled: ${config.modes.join(', ')})`;
+        await statusService.setSkipped(prUrl, prDetails.commitSha, prNumber, reason, { modes });
+        await updateComment(octokit, prUrl, commentId, createErrorComment([], reason));
+        finishRun(run, 'skipped', { error: reason });
+        return { choice, result: null, skipped: true, runId: run.id };
+      }
+
+      const allFileChanges = await clients.gitService.listPRFiles(prUrl);
+      const { eligible: fileChanges } = await selectEligibleFiles(
+        clients, repoName, prDetails.commitSha, filterFilesByPaths(allFileChanges, paths), config);
+
+      if (fileChanges.length === 0) {
+        const reason = paths.length
+          ? `No eligible changed files match ${paths.map(p => `\`${p}\``).join(', ')}`
+          : 'No changed files are eligible for analysis';
+        await statusService.setSkipped(prUrl, prDetails.commitSha, prNumber, reason, { modes });
+        await updateComment(octokit, prUrl, commentId, createErrorComment(allFileChanges, reason));
+        finishRun(run, 'skipped', { error: reason });
+        return { choice, result: null, skipped: true, runId: run.id };
+      }
+
+      jobQueue.throwIfCancelled(job.id);
+
+      // Show the backend's progress while a long analysis runs; stop waiting if the job is cancelled
+      const onProgress = async (progress) => {
+        jobQueue.throwIfCancelled(job.id);
+        try {
+          await updateComment(octokit, prUrl, commentId, createProcessingComment(choice, job, { progress }));
+        } catch (error) {
+          logger.warn({ error: error.message }, "Failed to update progress comment");
+        }
+      };
+      
+      // Call the analysis API, unless its callback already delivered the result
+      if (!payload.resume) {
+        recordRunEvent('analysis_request', historyPayload(
+          clients.gitService.buildAnalysisRequest(fileChanges, { testDirectories: config.testDirectories })));
+      }
+      const apiResponse = payload.resume
+        ? resumedAnalysis(payload.resume)
+        : await clients.gitService.callAnalysisAPI(fileChanges, {
+            testDirectories: config.testDirectories,
+            onProgress
+          });
+
+      if (apiResponse.status === 'pending') {
+        runStore.setRunState(run.id, 'waiting', { analysisId: apiResponse.analysisId });
+        recordRunEvent('analysis_submitted', { analysisId: apiResponse.analysisId });
+        await onProgress({ status: 'submitted', message: 'waiting for the analysis backend to report back' });
+        // The job keeps the PR's lock until the callback (or the expiry sweep) resumes the run
+        return new JobWaiting({ choice, pending: true, analysisId: apiResponse.analysisId, runId: run.id });
+      }
+      recordRunEvent('analysis_response', historyPayload(apiResponse));
+      
+      let result = null;
+      let analysisPRUpdated = false;
+      let rejectedFiles = [];
+      
+      // Process based on choice
+      if (choice === 'create_pr') {
+        const analysisResult = await processCreatePR(clients, prUrl, prNumber, fileChanges, prDetails, {
+          ...payload.issue,
+          repository: payload.repository
+        }, config, apiResponse);
+        result = analysisResult.newPR?.url || null;
+        analysisPRUpdated = Boolean(analysisResult.newPR?.updated);
+        rejectedFiles = analysisResult.rejectedFiles || [];
+        metrics.recordFilesCreated(choice, analysisResult.apiResponse?.filePaths?.length || 0);
+        if (analysisResult.newPR) {
+          metrics.recordAnalysisPR(analysisPRUpdated ? 'updated' : 'created');
+        }
+        runStore.updateRun(run.id, {
+          analysisId: analysisResult.analysisId,
+          generatedFiles: analysisResult.apiResponse?.filePaths || [],
+          resultUrl: result,
+          analysisPrNumber: analysisResult.newPR?.number
+        });
+      } else if (choice === 'add_comments') {
+        await processAddComments(clients, prUrl, prNumber, fileChanges, prDetails.commitSha, apiResponse, config);
+        metrics.recordFilesCreated(choice, apiResponse.filesToCreate?.length || 0);
+        runStore.updateRun(run.id, {
+          analysisId: apiResponse.analysisId,
+          generatedFiles: apiResponse.filesToCreate?.map(f => f.path) || [],
+          resultUrl: prUrl
+        });
+      }
+      
+      // Commits pushed while the analysis ran: the result describes older code, so flag it
+      // wherever it landed
+      const outdatedBy = await findNewerHead(octokit, prUrl, prNumber, prDetails.commitSha);
+      if (outdatedBy) {
+        logger.info(outdatedBy, "PR head moved during the analysis, flagging the result as outdated");
+        recordRunEvent('result_outdated', outdatedBy);
+        await flagResultOutdated(octokit, prUrl, prNumber, choice, runStore.getRun(run.id), outdatedBy);
+      }
+
+      // Update comment with completion message
+      const completedComment = createCompletedComment(fileChanges, choice, result, {
+        config,
+        generatedFiles: runStore.getRun(run.id)?.generatedFiles || [],
+        configErrors,
+        analysisPRUpdated,
+        rejectedFiles,
+        outdatedBy,
+        capped: isCapped(allFileChanges)
+      });
+      await updateComment(octokit, prUrl, commentId, completedComment);
+
+      finishRun(run, 'succeeded', { error: null });
+      return { choice, result, runId: run.id };
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        logger.info("Analysis cancelled");
+        finishRun(run, 'cancelled');
+        try {
+          if (prDetails) {
+            await statusService.setSkipped(prUrl, prDetails.commitSha, prNumber, 'analysis cancelled', { modes });
+          }
+          await updateComment(octokit, prUrl, commentId, createCancelledComment(choice));
+        } catch (restoreError) {
+          logger.error({ error: restoreError.message }, "Failed to update comment after cancel");
+        }
+        throw error;
+      }
+
+      runStore.updateRun(run.id, { error: error.message });
+      const willRetry = job.attempts < job.maxAttempts && error.retryable !== false;
+      logger.error({ error: error.message, status: error.status, attempt: job.attempts, willRetry }, "Analysis failed");
+      recordRunEvent('attempt_failed', {
+        jobId: job.id,
+        attempt: job.attempts,
+        error: error.message,
+        ...(error.status ? { status: error.status } : {}),
+        willRetry
+      });
+
+      // Only report the failure once the queue has given up retrying
+      if (!willRetry) {
+        finishRun(run, 'failed', { error: error.message });
+        try {
+          const prDetails = await getPRDetails(octokit, prUrl, prNumber);
+          await statusService.setError(prUrl, prDetails.commitSha, prNumber, error.message, { modes });
+          
+          const fileChanges = await clients.gitService.listPRFiles(prUrl).catch(() => []);
+          const errorComment = createErrorComment(fileChanges, error.message);
+          await updateComment(octokit, prUrl, commentId, errorComment);
+        } catch (restoreError) {
+          logger.error({ error: restoreError.message }, "Failed to restore comment after error");
+        }
+      }
+
+      throw error;
+    }
+  };
+
+  // Writes made for a job belong to the plan of the request that queued it
+  const inJobPlan = (payload, jobId, fn) => dryRun.run(payload.dryRunPlanId || `job-${jobId}`, fn);
+
+  // Jobs may be started from within a webhook, but nobody is waiting on their GitHub writes
+  const runJobInPlan = (run) => (payload, job) => withLogContext({
+    deliveryId: payload.deliveryId ?? null,
+    repo: payload.repository.full_name,
+    prNumber: payload.prNumber,
+  }, () => githubRequests.runInBackground(() => inJobPlan(payload, job.id, () => run(payload, job))));
+
+  jobQueue.registerHandler('create_pr', runJobInPlan(runAnalysisJob));
+  jobQueue.registerHandler('add_comments', runJobInPlan(runAnalysisJob));
+
+  // Opened, pushed and closed PRs take many GitHub calls (file listing, config, outdated
+  // comments, cleanup), so the webhook only validates and queues them. Each PR's events run
+  // one at a time in delivery order, under a key of their own so a running analysis does not
+  // hold them up; they are webhook work, so a rate limit pause does not either.
+  const PR_EVENT_JOBS = {
+    pr_opened: handlePRCreated,
+    pr_synchronize: handlePRSynchronize,
+    pr_closed: handlePRClosed,
+  };
+
+  const queuePullRequestEvent = (type, installationId, pr, repo, sender) => jobQueue.enqueue(type, {
+    installationId,
+    prUrl: pr.html_url,
+    prNumber: pr.number,
+    ...(dryRun.isEnabled() ? { dryRunPlanId: dryRun.currentPlanId() } : {}),
+    deliveryId: getLogContext().deliveryId ?? null,
+    repository: { full_name: repo.full_name },
+    pullRequest: pr,
+    sender: sender ? { login: sender.login, id: sender.id, type: sender.type } : null,
+  }, {
+    lockKey: `${prLockKey(repo, pr.number)}:events`,
+    // A retried `opened` would post a second bot comment
+    ...(type === 'pr_opened' ? { maxAttempts: 1 } : {}),
+  });
+
+  for (const [type, handler] of Object.entries(PR_EVENT_JOBS)) {
+    jobQueue.registerHandler(type, runJobInPlan(({ installationId, pullRequest, repository, sender }) =>
+      handler(getClients(installationId), installationId, pullRequest, repository, sender)), { pausable: false });
+  }
+
+  // ==================== SIGNATURE VERIFICATION ====================
+
+  // Keep the exact bytes GitHub signed; re-serialized JSON would not match
+  fastify.addContentTypeParser(
+    "application/json",
+    { parseAs: "buffer" },
+    (request, body, done) => {
+      request.rawBody = body;
+      try {
+        done(null, body.length > 0 ? JSON.parse(body.toString("utf8")) : {});
+      } catch (error) {
+        error.statusCode = 400;
+        done(error, undefined);
+      }
+    }
+  );
+
+  const recordDelivery = (request, outcome) =>
+    metrics.recordDelivery(request.headers["x-github-event"], request.body?.action, outcome);
+
+  const verifyWebhookSignature = async (request, reply) => {
+    if (!signatureVerifier.isConfigured()) {
+      return;
+    }
+
+    const signature = request.headers["x-hub-signature-256"];
+    if (!signatureVerifier.verify(request.rawBody, signature)) {
+      logger.warn({
+        deliveryId: request.headers["x-github-delivery"],
+        event: request.headers["x-github-event"],
+        signaturePresent: Boolean(signature),
+      }, "Rejected webhook with invalid signature");
+      recordDelivery(request, 'rejected');
+      return reply.code(401).send({
+        success: false,
+        message: "Invalid webhook signature",
+      });
+    }
+  };
+
+  // ==================== DELIVERY DEDUPLICATION ====================
+
+  // GitHub redelivers webhooks; each X-GitHub-Delivery is only processed once
+  const skipDuplicateDelivery = async (request, reply) => {
+    const deliveryId = request.headers["x-github-delivery"];
+    if (!deliveryStore || !deliveryId) {
+      return;
+    }
+
+    if (!deliveryStore.markSeen(deliveryId, request.headers["x-github-event"])) {
+      logger.info({ deliveryId }, "Skipping duplicate delivery");
+      recordDelivery(request, 'duplicate');
+      return reply.send({
+        success: true,
+        message: "Duplicate delivery ignored",
+        duplicate: true,
+      });
+    }
+  };
+
+  // Let GitHub's redelivery retry a delivery we failed to handle
+  const releaseDelivery = async (request, reply, error) => {
+    recordDelivery(request, 'error');
+    const deliveryId = request.headers["x-github-delivery"];
+    if (deliveryStore && deliveryId) {
+      deliveryStore.forget(deliveryId);
+    }
+  };
+
+  // ==================== ANALYSIS CALLBACK ====================
+
+  // A fast backend may call back before the job submitting the analysis has parked its run
+  const CALLBACK_LOOKUP_WAIT_MS = 5000;
+  const CALLBACK_LOOKUP_INTERVAL_MS = 250;
+
+  // How often waiting runs are checked for analyses that were never reported back
+  const WAITING_RUN_SWEEP_MS = 60 * 1000;
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  /**
+   * The run and job of an analysis, once the job that submitted it has stopped running
+   * (or the lookup window has passed)
+   */
+  const findSubmittedAnalysis = async (analysisId) => {
+    const deadline = Date.now() + CALLBACK_LOOKUP_WAIT_MS;
+    while (true) {
+      const run = runStore.findRunByAnalysisId(analysisId);
+      const job = run?.jobId ? jobQueue.get(run.jobId) : null;
+      if ((run && job?.state !== 'running') || Date.now() >= deadline) {
+        return { run, job };
+      }
+      await sleep(CALLBACK_LOOKUP_INTERVAL_MS);
+    }
+  };
+
+  /**
+   * Hand the outcome of a waiting run's analysis to a new job that picks the run up where it
+   * stopped. The new job takes over the waiting job's PR lock.
+   * @returns {Object|null} The new job, or null if the run's job is no longer waiting
+   */
+  const resumeRun = (run, job, outcome, details = {}) => {
+    const resumed = jobQueue.resumeWaiting(job.id, run.mode, {
+      ...job.payload,
+      resume: { runId: run.id, analysisId: run.analysisId, ...outcome }
+    });
+    if (!resumed) {
+      return null;
+    }
+    runStore.setRunState(run.id, 'running');
+    runStore.recordEvent({
+      repo: run.repo,
+      prNumber: run.prNumber,
+      runId: run.id,
+      action: 'analysis_callback',
+      details: { analysisId: run.analysisId, ...details, jobId: resumed.id, ...(outcome.error ? { error: outcome.error } : {}) }
+    });
+    return resumed;
+  };
+
+  const isExpired = (run, now = Date.now()) => Date.parse(run.updatedAt) + analysisClient.maxWaitMs < now;
+
+  const expiryError = () => `no result within ${Math.round(analysisClient.maxWaitMs / 60000)} minutes`;
+
+  /**
+   * Fail waiting runs the backend never reported back on; the resumed job updates their
+   * comment and check like any failed analysis
+   */
+  const expireWaitingRuns = (now = Date.now()) => {
+    for (const run of runStore.listRuns({ state: 'waiting', limit: 500 })) {
+      if (!isExpired(run, now)) continue;
+      const job = run.jobId ? jobQueue.get(run.jobId) : null;
+      withLogContext({ repo: run.repo, prNumber: run.prNumber, runId: run.id }, () => {
+        logger.warn({ analysisId: run.analysisId }, "Analysis expired without a callback");
+        if (!job || !resumeRun(run, job, { error: expiryError() }, { status: 'expired' })) {
+          // Nothing holds the PR any more, so there is no comment left to update
+          finishRun(run, 'failed', { error: expiryError() });
+        }
+      });
+    }
+  };
+
+  const expiryTimer = setInterval(() => {
+    try {
+      expireWaitingRuns();
+    } catch (error) {
+      logger.error({ error: error.message }, "Waiting run sweep failed");
+    }
+  }, WAITING_RUN_SWEEP_MS);
+  expiryTimer.unref();
+  fastify.addHook("onClose", async () => clearInterval(expiryTimer));
+
+  const handleAnalysisCallback = async (request, reply) => {
+    const { analysisId } = request.params;
+    const { body } = request;
+
+    if (!analysisClient.verifyCallback(request.rawBody, request.headers)) {
+      logger.warn("Rejected analysis callback with invalid signature");
+      return reply.code(401).send({ success: false, message: "Invalid callback signature" });
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return reply.code(400).send({ success: false, message: "Callback body must be a JSON object" });
+    }
+
+    const { run, job } = await findSubmittedAnalysis(analysisId);
+    if (!run || !job) {
+      return reply.code(404).send({ success: false, message: `Unknown analysis ${analysisId}` });
+    }
+    addLogContext({ repo: run.repo, prNumber: run.prNumber, runId: run.id });
+    logger.info({ status: body.status }, "Analysis callback received");
+    if (run.state !== 'waiting' || job.state !== 'waiting') {
+      if (job.state === 'running') {
+        return reply.code(503).header('Retry-After', '5').send({ success: false, message: `Analysis ${analysisId} is still being submitted` });
+      }
+      return reply.code(409).send({ success: false, message: `Analysis ${analysisId} is already ${run.state}` });
+    }
+
+    const { payload } = job;
+    const resume = (outcome) => resumeRun(run, job, outcome, { status: body.status });
+    // Cancelled or expired while this request was being handled
+    const notWaiting = () =>
+      reply.code(409).send({ success: false, message: `Analysis ${analysisId} is no longer waiting` });
+
+    if (isExpired(run)) {
+      resume({ error: expiryError() });
+      return reply.code(410).send({ success: false, message: `Analysis ${analysisId} expired` });
+    }
+
+    switch (body.status) {
+      case 'queued':
+      case 'running': {
+        const progress = {
+          status: body.status,
+          percent: body.progress?.percent,
+          message: body.progress?.message
+        };
+        try {
+          const { octokit } = getClients(payload.installationId);
+          await inJobPlan(payload, job.id, () => updateComment(octokit, payload.prUrl, payload.commentId,
+            createProcessingComment(run.mode, null, { progress })));
+        } catch (error) {
+          logger.warn({ error: error.message }, "Failed to update progress comment");
+        }
+        return { success: true, message: "Progress recorded" };
+      }
+      case 'completed': {
+        const problems = validateAnalysisResponse(body);
+        if (problems.length > 0) {
+          return reply.code(400).send({
+            success: false,
+            message: `Invalid analysis result: ${problems.slice(0, 5).join('; ')}`
+          });
+        }
+        const resumed = resume({ result: body });
+        if (!resumed) {
+          return notWaiting();
+        }
+        return reply.code(202).send({ success: true, message: "Result accepted", jobId: resumed.id });
+      }
+      case 'failed': {
+        const resumed = resume({ error: body.error || 'no reason given' });
+        if (!resumed) {
+          return notWaiting();
+        }
+        return reply.code(202).send({ success: true, message: "Failure recorded", jobId: resumed.id });
+      }
+      default:
+        return reply.code(400).send({ success: false, message: `Unknown status: ${body.status}` });
+    }
+  };
+
+  // The analysis backend reports progress and the result of a submitted analysis here
+  fastify.post("/api/analysis-callback/:analysisId", (request, reply) =>
+    withLogContext({ analysisId: request.params.analysisId }, () =>
+      githubRequests.runInteractive(() => handleAnalysisCallback(request, reply))));
+
+  // ==================== ADMIN API ====================
+
+  /**
+   * Queue an analysis for a PR on an operator's request, like `/covlant analyze` would
+   */
+  const triggerAnalysis = async ({ repo: fullName, prNumber, mode, paths, requestedBy }) => {
+    if (!appAuth.isConfigured()) {
+      throw new AdminAPIError("GitHub credentials are not configured", 503);
+    }
+    const installationId = runStore.getPullRequest(fullName, prNumber)?.installationId
+      ?? installations.findByRepository(fullName)?.id
+      ?? null;
+    if (!installationId && appAuth.isAppConfigured()) {
+      throw new AdminAPIError(`The app is not installed on ${fullName}`, 404);
+    }
+
+    const repo = { full_name: fullName };
+    const clients = getClients(installationId);
+    let pr;
+    try {
+      pr = await getPRAsIssue(clients.octokit, repo, prNumber);
+    } catch (error) {
+      if (error.status === 404) {
+        throw new AdminAPIError(`Pull request ${fullName}#${prNumber} not found`, 404);
+      }
+      throw error;
+    }
+    if (pr.state !== 'open') {
+      throw new AdminAPIError(`Pull request ${fullName}#${prNumber} is ${pr.state}`, 409);
+    }
+
+    const active = jobQueue.findActive(prLockKey(repo, prNumber));
+    if (active) {
+      throw new AdminAPIError(`Analysis is already ${describeActiveJob(active)} for this PR (job #${active.id})`, 409);
+    }
+
+    const choice = mode || (await loadRepoConfig(clients, fullName, pr.base.ref)).config.defaultMode;
+    runStore.upsertPullRequest({
+      repo: fullName,
+      prNumber,
+      installationId,
+      title: pr.title,
+      headBranch: pr.head.ref,
+      baseBranch: pr.base.ref
+    });
+    return queueAnalysis(clients, installationId, pr, repo, { login: requestedBy }, choice, paths, 'admin');
+  };
+
+  const cancelJob = async (jobId, requestedBy) => {
+    const job = jobQueue.get(jobId);
+    if (!job) {
+      throw new AdminAPIError(`Job ${jobId} not found`, 404);
+    }
+    const cancelled = jobQueue.cancel(job.id);
+    if (!cancelled) {
+      throw new AdminAPIError(`Job #${job.id} is already ${job.state}`, 409);
+    }
+
+    const { payload } = job;
+    runStore.recordEvent({
+      repo: payload.repository.full_name,
+      prNumber: payload.prNumber,
+      runId: payload.resume?.runId ?? runStore.findRunByJob(job.id)?.id ?? null,
+      action: 'job_cancelled',
+      details: { jobId: job.id, reason: `cancelled via the admin API (key ${requestedBy})` }
+    });
+
+    // Pull request event jobs have no comment of their own to update
+    if (cancelled.state === 'cancelled' && !PR_EVENT_JOBS[job.type]) {
+      try {
+        await inJobPlan(payload, job.id, () => reportCancelledJob(getClients(payload.installationId), job));
+      } catch (error) {
+        logger.error({ error: error.message, jobId: job.id }, "Failed to update comment after cancel");
+      }
+    }
+    return cancelled;
+  };
+
+  // In dry-run mode an admin-triggered analysis gets a plan of its own, returned with the result
+  const triggerAnalysisInPlan = async (params) => {
+    if (!dryRun.isEnabled()) {
+      return githubRequests.runInteractive(() => triggerAnalysis(params));
+    }
+    const planId = `admin-${crypto.randomUUID()}`;
+    const result = await dryRun.run(planId, () => githubRequests.runInteractive(() => triggerAnalysis(params)));
+    return { ...result, dryRun: dryRun.getPlan(planId) };
+  };
+
+  fastify.register(adminApiPlugin, {
+    prefix: '/admin',
+    auth: options.adminAuth || AdminAuth.fromEnv(),
+    runStore,
+    jobQueue,
+    dryRun,
+    readiness: options.readiness,
+    logger,
+    triggerAnalysis: triggerAnalysisInPlan,
+    cancelJob
+  });
+
+  // ==================== MAIN WEBHOOK ENDPOINT ====================
+
+  const deliveryOutcome = (result) => {
+    if (result?.unauthorized) return 'unauthorized';
+    if (result?.skipped) return 'skipped';
+    return result?.success === false ? 'failed' : 'processed';
+  };
+
+  // Fields added to every log line written while handling a delivery
+  const webhookLogContext = (request) => {
+    const { body } = request;
+    const prNumber = body.pull_request?.number
+      ?? body.issue?.number
+      ?? body.check_run?.pull_requests?.[0]?.number
+      ?? body.check_suite?.pull_requests?.[0]?.number;
+    return {
+      deliveryId: request.headers["x-github-delivery"] || null,
+      event: request.headers["x-github-event"],
+      ...(body.repository?.full_name ? { repo: body.repository.full_name } : {}),
+      ...(prNumber ? { prNumber } : {}),
+    };
+  };
+  
+  const handleWebhookEvent = async (request, reply) => {
+    const { body } = request;
+    const eventType = request.headers["x-github-event"];
+
+    logger.info({ action: body.action }, "GitHub webhook received");
 
     // Handle PR creation event
     if (eventType === "pull_request" && body.action === "opened") {
@@ -419,19 +2086,10 @@ ${apiResponse.filesToCreate.map(f => `- \`${f.path}\` (${f.type})`).join('\n')}
       const sender = body.sender;
 
       // Prevent infinite loops: Skip if this is an auto-generated PR
-      const isAutoGeneratedPR = pr.head.ref.startsWith("auto-analysis-pr-");
+      const isAutoGeneratedPR = pr.head.ref.startsWith(ANALYSIS_BRANCH_PREFIX);
 
       if (isAutoGeneratedPR) {
-        console.log("Skipping auto-generated PR to prevent infinite loop:", {
-          prNumber: pr.number,
-          title: pr.title,
-          branch: pr.head.ref,
-          isDraft: pr.draft,
-          author: sender.login,
-          detectionReasons: {
-            branchPattern: pr.head.ref.startsWith("auto-analysis-pr-")
-          },
-        });
+        logger.info({ branch: pr.head.ref, author: sender.login }, "Skipping auto-generated PR to prevent infinite loop");
         return {
           success: true,
           message: "Auto-generated PR skipped to prevent loop",
@@ -444,7 +2102,64 @@ ${apiResponse.filesToCreate.map(f => `- \`${f.path}\` (${f.type})`).join('\n')}
         };
       }
 
-      return await handlePRCreated(pr, repo, sender);
+      if (!appAuth.isConfigured()) {
+        return {
+          success: true,
+          message: "GitHub credentials not configured - pull request ignored",
+        };
+      }
+
+      const job = queuePullRequestEvent('pr_opened', body.installation?.id, pr, repo, sender);
+      reply.code(202);
+      return { success: true, message: "Pull request queued", jobId: job.id };
+    }
+
+    // Handle new pushes to an open PR
+    if (eventType === "pull_request" && body.action === "synchronize") {
+      const pr = body.pull_request;
+
+      if (pr.head.ref.startsWith(ANALYSIS_BRANCH_PREFIX)) {
+        return {
+          success: true,
+          message: "Auto-generated PR skipped to prevent loop",
+          skipped: true,
+        };
+      }
+
+      if (!appAuth.isConfigured()) {
+        return {
+          success: true,
+          message: "GitHub credentials not configured - push ignored",
+        };
+      }
+
+      const job = queuePullRequestEvent('pr_synchronize', body.installation?.id, pr, body.repository, body.sender);
+      reply.code(202);
+      return { success: true, message: "Pull request update queued", jobId: job.id };
+    }
+
+    // Clean up when a PR is closed or merged
+    if (eventType === "pull_request" && body.action === "closed") {
+      const pr = body.pull_request;
+
+      if (pr.head.ref.startsWith(ANALYSIS_BRANCH_PREFIX)) {
+        return {
+          success: true,
+          message: "Auto-generated PR skipped to prevent loop",
+          skipped: true,
+        };
+      }
+
+      if (!appAuth.isConfigured()) {
+        return {
+          success: true,
+          message: "GitHub credentials not configured - close ignored",
+        };
+      }
+
+      const job = queuePullRequestEvent('pr_closed', body.installation?.id, pr, body.repository, body.sender);
+      reply.code(202);
+      return { success: true, message: "Pull request close queued", jobId: job.id };
     }
 
     // Handle comment events (checkbox clicks)
@@ -453,26 +2168,155 @@ ${apiResponse.filesToCreate.map(f => `- \`${f.path}\` (${f.type})`).join('\n')}
       const issue = body.issue;
       const repo = body.repository;
       
-      // Check if this is a PR comment
-      if (issue.pull_request) {
-        return await handleCommentEdited(comment, issue, repo);
+      // Only people tick checkboxes; bot edits include our own comment updates
+      if (issue.pull_request && body.sender?.type !== "Bot") {
+        if (!appAuth.isConfigured()) {
+          return {
+            success: true,
+            message: "GitHub credentials not configured - comment ignored",
+          };
+        }
+        const result = await handleCommentEdited(
+          getClients(body.installation?.id),
+          body.installation?.id,
+          comment,
+          issue,
+          repo,
+          body.sender,
+          body.changes
+        );
+        if (result.jobId && !result.merged) {
+          reply.code(202);
+        }
+        return result;
       }
     }
 
-    // Handle other PR events
-    if (eventType === "pull_request") {
-      console.log("Pull Request Event:", {
-        action: body.action,
-        prNumber: body.pull_request?.number,
-        repository: body.repository?.full_name,
-      });
+    // Handle slash commands in new PR comments
+    if (eventType === "issue_comment" && body.action === "created") {
+      const { comment, issue, repository: repo, sender } = body;
+
+      // Never react to our own (or other bots') comments
+      if (issue.pull_request && sender?.type !== "Bot") {
+        if (!appAuth.isConfigured()) {
+          return {
+            success: true,
+            message: "GitHub credentials not configured - comment ignored",
+          };
+        }
+        const result = await handleCommentCreated(
+          getClients(body.installation?.id),
+          body.installation?.id,
+          comment,
+          issue,
+          repo,
+          sender
+        );
+        if (result.jobId && !result.merged) {
+          reply.code(202);
+        }
+        return result;
+      }
+    }
+
+    // Handle buttons and re-runs on our check runs
+    if (eventType === "check_run" || eventType === "check_suite") {
+      const isOwnCheck = eventType === "check_run"
+        ? body.check_run.app?.id === Number(appAuth.appId)
+        : body.check_suite.app?.id === Number(appAuth.appId);
+      const isHandledAction = (eventType === "check_run" && ["requested_action", "rerequested"].includes(body.action))
+        || (eventType === "check_suite" && body.action === "rerequested");
+
+      if (isHandledAction && isOwnCheck) {
+        const clients = getClients(body.installation?.id);
+        let result;
+        if (body.action === "requested_action") {
+          result = await handleCheckRunAction(
+            clients,
+            body.installation?.id,
+            body.check_run,
+            body.requested_action,
+            body.repository,
+            body.sender
+          );
+        } else {
+          const source = body.check_run || body.check_suite;
+          result = await handleCheckRerequested(
+            clients,
+            body.installation?.id,
+            source.head_sha,
+            source.pull_requests || [],
+            body.repository,
+            body.sender
+          );
+        }
+        if (result.jobId && !result.merged) {
+          reply.code(202);
+        }
+        return result;
+      }
+    }
+
+    // Track where the app is installed
+    if (eventType === "installation") {
+      const entry = installations.handleInstallationEvent(
+        body.action,
+        body.installation,
+        body.repositories
+      );
+      if (body.action === "deleted") {
+        appAuth.invalidateInstallation(body.installation.id);
+      }
+      logger.info({
+        installationId: body.installation.id,
+        account: body.installation.account?.login,
+        repositories: entry?.repositories.size ?? 0,
+      }, `Installation ${body.action}`);
+      return {
+        success: true,
+        message: `Installation ${body.action} processed`,
+      };
+    }
+
+    if (eventType === "installation_repositories") {
+      const entry = installations.handleRepositoriesEvent(
+        body.installation,
+        body.repositories_added,
+        body.repositories_removed
+      );
+      logger.info({
+        installationId: body.installation.id,
+        added: body.repositories_added?.map((r) => r.full_name) || [],
+        removed: body.repositories_removed?.map((r) => r.full_name) || [],
+        total: entry.repositories.size,
+      }, "Installation repositories changed");
+      return {
+        success: true,
+        message: "Installation repositories updated",
+      };
     }
 
     return {
       success: true,
       message: "Webhook processed successfully",
     };
-  });
+  };
+
+  fastify.post("/", {
+    preHandler: [verifyWebhookSignature, skipDuplicateDelivery],
+    onError: releaseDelivery,
+  }, (request, reply) => withLogContext(webhookLogContext(request), () => githubRequests.runInteractive(async () => {
+    if (!dryRun.isEnabled()) {
+      const result = await handleWebhookEvent(request, reply);
+      recordDelivery(request, deliveryOutcome(result));
+      return result;
+    }
+    // One plan per delivery; fetch it later from the admin API to see what queued jobs did
+    const planId = request.headers["x-github-delivery"] || crypto.randomUUID();
+    const result = await dryRun.run(planId, () => handleWebhookEvent(request, reply));
+    recordDelivery(request, deliveryOutcome(result));
+    return { ...result, dryRun: dryRun.getPlan(planId) };
+  })));
 }
 
 export default githubWebhookPlugin;
@@ -2,34 +2,135 @@ import fastify from "fastify";
 import dotenv from "dotenv";
 
 import githubWebhookPlugin from "./plugins/github-webhook.js";
+import { openDatabase } from "./services/database.js";
+import JobQueue from "./services/job-queue.js";
+import DeliveryStore from "./services/delivery-store.js";
+import { createRunStore } from "./services/run-store.js";
+import GitHubAppAuth from "./services/github-app-auth.js";
+import AnalysisLifecycle from "./services/analysis-lifecycle.js";
+import AnalysisClient, { ANALYSIS_API_VERSION, signPayload } from "./services/analysis-client.js";
+import DryRunRecorder from "./services/dry-run.js";
+import Metrics from "./services/metrics.js";
+import ReadinessCheck from "./services/readiness.js";
+import { getLogger } from "./services/logger.js";
 
 // Load environment variables
 dotenv.config();
 
-// Create Fastify instance
+const logger = getLogger();
+
+// Create Fastify instance; request logs carry GitHub's delivery ID as reqId
 const server = fastify({
-  logger: false, // Disable fastify logging
+  logger,
+  requestIdHeader: "x-github-delivery",
 });
 
+// Shared persistence and background workers
+const db = openDatabase();
+const jobQueue = JobQueue.fromEnv(db);
+const deliveryStore = DeliveryStore.fromEnv(db);
+const dryRun = DryRunRecorder.fromEnv();
+// Dry runs record made-up comment and PR IDs; keep them out of the real run history
+const runStore = createRunStore(db, dryRun.isEnabled() ? "memory" : undefined);
+const appAuth = GitHubAppAuth.fromEnv();
+const lifecycle = AnalysisLifecycle.fromEnv({ appAuth, runStore });
+const analysisClient = AnalysisClient.fromEnv();
+const metrics = new Metrics({ jobQueue });
+const readiness = ReadinessCheck.fromEnv({ appAuth, analysisClient, db, jobQueue });
+
 // Register plugins
-server.register(githubWebhookPlugin);
+server.register(githubWebhookPlugin, {
+  appAuth,
+  jobQueue,
+  deliveryStore,
+  runStore,
+  lifecycle,
+  analysisClient,
+  dryRun,
+  logger,
+  metrics,
+  readiness,
+});
 
-// Health check endpoint
-server.get("/health", async (request, reply) => {
-  return { status: "ok", timestamp: new Date().toISOString() };
+server.addHook("onClose", async () => {
+  await lifecycle.stop();
+  await jobQueue.stop();
+  db.close();
 });
 
-// Dummy API endpoint for file analysis from CNE
-server.post("/api/analyze-files", async (request, reply) => {
-  const { changedFiles } = request.body;
+// Liveness: the process is up and serving requests (restart it if this fails)
+const liveness = async () => ({
+  status: "ok",
+  timestamp: new Date().toISOString(),
+  uptimeSeconds: Math.round(process.uptime()),
+});
+server.get("/health", liveness);
+server.get("/health/live", liveness);
+
+// Readiness: per-component checks of GitHub, the analysis backend and the database;
+// 503 when credentials or the database fail so orchestrators stop routing webhooks here.
+// Only statuses are public; the details are at GET /admin/health
+server.get("/health/ready", async (request, reply) => {
+  const report = await readiness.check();
+  return reply.code(report.status === "unhealthy" ? 503 : 200).send(readiness.publicReport(report));
+});
 
-  console.log("Dummy API called with:", {
-    filesCount: changedFiles?.length || 0,
-    files: changedFiles?.map(f => f.filename) || []
-  });
+// Prometheus scrape endpoint
+server.get("/metrics", async (request, reply) => {
+  reply.type(metrics.contentType);
+  return metrics.render();
+});
 
-  await new Promise((resolve) => setTimeout(resolve, 3000));
+// Dummy analysis backend. Requests with a `callbackUrl` get a 202 and the progress and
+// result are POSTed back, signed like a real backend would; other requests sent with
+// `Prefer: respond-async` get a 202 and are polled at GET /api/analyze-files/:analysisId;
+// the rest wait for the result.
+const DUMMY_ANALYSIS_MS = 3000;
+const dummyAnalyses = new Map(); // analysisId -> { startedAt }
+
+const sendDummyCallback = async (callbackUrl, analysisId, update) => {
+  const secret = process.env.ANALYSIS_CALLBACK_SECRET || process.env.ANALYSIS_API_SECRET;
+  const body = JSON.stringify({ analysisId, ...update });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  try {
+    const response = await fetch(`${callbackUrl}/${encodeURIComponent(analysisId)}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Covlant-Timestamp": timestamp,
+        "X-Covlant-Signature-256": signPayload(secret || "", timestamp, body),
+      },
+      body,
+    });
+    logger.debug({ analysisId, status: update.status, responseStatus: response.status }, "Dummy API callback sent");
+  } catch (error) {
+    logger.warn({ analysisId, error: error.message }, "Dummy API callback failed");
+  }
+};
+
+const runDummyCallbacks = async (callbackUrl, analysisId) => {
+  const step = DUMMY_ANALYSIS_MS / 3;
+  const wait = () => new Promise((resolve) => setTimeout(resolve, step));
 
+  await wait();
+  await sendDummyCallback(callbackUrl, analysisId, {
+    status: "running",
+    progress: { percent: 33, message: "Reading changed files" },
+  });
+  await wait();
+  await sendDummyCallback(callbackUrl, analysisId, {
+    status: "running",
+    progress: { percent: 66, message: "Generating tests" },
+  });
+  await wait();
+  await sendDummyCallback(callbackUrl, analysisId, {
+    ...buildDummyResult(analysisId),
+    status: "completed",
+    progress: { percent: 100 },
+  });
+};
+
+const buildDummyResult = (analysisId) => {
   const filesToCreate = [
     {
       path: "python_oops/sample_test.py",
@@ -59,18 +160,64 @@ if __name__ == "__main__":
     }
   ];
 
-  console.log(
-    "Dummy API returning fixed files:",
-    filesToCreate.map((f) => f.path)
-  );
+  logger.debug({ files: filesToCreate.map((f) => f.path) }, "Dummy API returning fixed files");
 
   return {
     success: true,
     message: "File analysis completed",
-    analysisId: `analysis-${Date.now()}`,
+    analysisId,
     filesToCreate: filesToCreate,
     timestamp: new Date().toISOString(),
   };
+};
+
+server.post("/api/analyze-files", async (request, reply) => {
+  const { changedFiles } = request.body;
+
+  logger.debug({
+    filesCount: changedFiles?.length || 0,
+    files: changedFiles?.map(f => f.filename) || []
+  }, "Dummy API called");
+
+  const analysisId = `analysis-${Date.now()}`;
+
+  if (request.body.callbackUrl) {
+    runDummyCallbacks(request.body.callbackUrl, analysisId);
+    return reply.code(202).send({ analysisId, status: "queued" });
+  }
+
+  if (/respond-async/.test(request.headers.prefer || "")) {
+    dummyAnalyses.set(analysisId, { startedAt: Date.now() });
+    return reply.code(202).send({ analysisId, status: "queued" });
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, DUMMY_ANALYSIS_MS));
+  return buildDummyResult(analysisId);
+});
+
+server.get("/api/health", async () => {
+  return { status: "ok", apiVersion: ANALYSIS_API_VERSION };
+});
+
+server.get("/api/analyze-files/:analysisId", async (request, reply) => {
+  const { analysisId } = request.params;
+  const analysis = dummyAnalyses.get(analysisId);
+  if (!analysis) {
+    return reply.code(404).send({ success: false, message: "Analysis not found" });
+  }
+
+  const elapsed = Date.now() - analysis.startedAt;
+  if (elapsed < DUMMY_ANALYSIS_MS) {
+    const percent = Math.floor((elapsed / DUMMY_ANALYSIS_MS) * 100);
+    return {
+      analysisId,
+      status: "running",
+      progress: { percent, message: percent < 50 ? "Reading changed files" : "Generating tests" },
+    };
+  }
+
+  dummyAnalyses.delete(analysisId);
+  return { ...buildDummyResult(analysisId), status: "completed", progress: { percent: 100 } };
 });
 
 // Start server
@@ -80,11 +227,25 @@ const start = async () => {
     const host = process.env.HOST || "0.0.0.0";
 
     await server.listen({ port, host });
-    console.log(`🚀 Server listening on ${host}:${port}`);
+
+    jobQueue.start();
+    // The branch sweep deletes branches outside any webhook, so it stays off in dry-run mode
+    if (appAuth.isConfigured() && !dryRun.isEnabled()) {
+      lifecycle.start();
+    }
   } catch (err) {
-    console.error("Server error:", err);
+    logger.fatal({ err }, "Server failed to start");
     process.exit(1);
   }
 };
 
+// Let running jobs finish before exiting
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, async () => {
+    logger.info({ signal }, "Shutting down");
+    await server.close();
+    process.exit(0);
+  });
+}
+
 start();
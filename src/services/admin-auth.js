@@ -0,0 +1,67 @@
+import crypto from "node:crypto";
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+class AdminAuth {
+  /**
+   * @param {{ name: string, key: string }[]} keys - Accepted API keys; the name is recorded
+   *   as who requested an admin action
+   */
+  constructor(keys = []) {
+    this.keys = keys
+      .filter((entry) => entry.key)
+      .map((entry) => ({ name: entry.name, digest: digest(entry.key) }));
+  }
+
+  /**
+   * Build from ADMIN_API_KEYS: comma-separated keys, each optionally prefixed with a
+   * name (`ops:s3cret,ci:an0ther`)
+   */
+  static fromEnv(env = process.env) {
+    const keys = (env.ADMIN_API_KEYS || "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .map((value, index) => {
+        const separator = value.indexOf(":");
+        return separator > 0
+          ? { name: value.slice(0, separator), key: value.slice(separator + 1) }
+          : { name: `key-${index + 1}`, key: value };
+      });
+    return new AdminAuth(keys);
+  }
+
+  isConfigured() {
+    return this.keys.length > 0;
+  }
+
+  /**
+   * The key a request presents, as `Authorization: Bearer <key>` or `X-API-Key: <key>`
+   */
+  static keyFromHeaders(headers) {
+    const match = (headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : headers["x-api-key"] || null;
+  }
+
+  /**
+   * @returns {string|null} name of the matching key, or null if none matches
+   */
+  authenticate(headers) {
+    const presented = AdminAuth.keyFromHeaders(headers);
+    if (!presented) {
+      return null;
+    }
+
+    // Compare digests so neither the length nor the matching key shows in the timing
+    const received = digest(presented);
+    let matched = null;
+    for (const entry of this.keys) {
+      if (crypto.timingSafeEqual(entry.digest, received) && !matched) {
+        matched = entry.name;
+      }
+    }
+    return matched;
+  }
+}
+
+export default AdminAuth;
@@ -0,0 +1,398 @@
+import crypto from "node:crypto";
+import { getLogger } from "./logger.js";
+
+const ANALYZE_PATH = "/api/analyze-files";
+const HEALTH_PATH = "/api/health";
+
+// Version of the analysis API this client speaks; the backend reports its own at /api/health
+export const ANALYSIS_API_VERSION = 1;
+
+// Worth another try: timeouts, rate limiting and server-side failures
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Longest Retry-After we are willing to wait inside one request
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+// Signed callbacks older (or newer) than this are refused as possible replays
+const MAX_CALLBACK_SKEW_MS = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * `sha256=` HMAC of `<timestamp>.<body>`, so a captured request cannot be replayed later.
+ * Used for requests to the analysis backend and for its callbacks to us.
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * A failed call to the analysis backend. `retryable` is false when trying the
+ * job again cannot help (bad request, rejected credentials, open circuit).
+ */
+export class AnalysisAPIError extends Error {
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = "AnalysisAPIError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Stops calling a backend that keeps failing. After `failureThreshold` failed
+ * attempts in a row the circuit opens and calls fail at once; after
+ * `resetTimeoutMs` one trial call is let through and its outcome closes or
+ * re-opens the circuit.
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 60 * 1000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may go out now; moves an expired open circuit to half-open
+   */
+  allowRequest(now = Date.now()) {
+    if (this.state === "open" && now - this.openedAt >= this.resetTimeoutMs) {
+      this.state = "half_open";
+      this.trialInFlight = false;
+    }
+    if (this.state === "closed") return true;
+    if (this.state === "half_open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(now = Date.now()) {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) {
+      if (this.state !== "open") {
+        getLogger().warn({ failures: this.failures }, "Analysis API circuit opened");
+      }
+      this.state = "open";
+      this.openedAt = now;
+    }
+  }
+
+  /**
+   * Milliseconds until an open circuit lets a trial call through
+   */
+  retryInMs(now = Date.now()) {
+    return this.state === "open" ? Math.max(0, this.openedAt + this.resetTimeoutMs - now) : 0;
+  }
+
+  toJSON() {
+    return { state: this.state, failures: this.failures, retryInMs: this.retryInMs() };
+  }
+}
+
+/**
+ * Client for the analysis backend.
+ *
+ * Analyses are submitted with `Prefer: respond-async`. A backend that answers
+ * 202 with an `analysisId` is polled at `GET /api/analyze-files/:analysisId`
+ * until the analysis is `completed` or `failed`; a backend that answers 200
+ * has returned the result directly. Every request has a timeout, is retried
+ * with exponential backoff on network errors and 5xx responses, and goes
+ * through a circuit breaker shared by all jobs.
+ *
+ * With a callback URL and secret configured, the request also carries a
+ * `callbackUrl`; a 202 is then not polled, the backend POSTs progress and the
+ * result to `<callbackUrl>/<analysisId>` instead.
+ */
+class AnalysisClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Analysis backend, e.g. http://localhost:3000
+   * @param {string} options.token - Sent as `Authorization: Bearer <token>`
+   * @param {string} options.secret - Signs each request body (X-Covlant-Signature-256)
+   * @param {number} options.timeoutMs - Timeout of a single HTTP request
+   * @param {number} options.maxRetries - Retries of a failed request
+   * @param {number} options.retryBaseDelayMs - First retry delay, doubled on each retry
+   * @param {number} options.pollIntervalMs - Delay between status polls of an async analysis
+   * @param {number} options.maxWaitMs - Give up on an async analysis after this long
+   * @param {CircuitBreaker} options.breaker
+   * @param {string} options.callbackUrl - Public URL of our callback route, without the analysisId
+   * @param {string} options.callbackSecret - Secret the backend signs callbacks with (defaults to `secret`)
+   * @param {import("pino").Logger} options.logger
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || "http://localhost:3000").replace(/\/+$/, "");
+    this.token = options.token || null;
+    this.secret = options.secret || null;
+    this.timeoutMs = options.timeoutMs ?? 30 * 1000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? 1000;
+    this.pollIntervalMs = options.pollIntervalMs ?? 5000;
+    this.maxWaitMs = options.maxWaitMs ?? 30 * 60 * 1000;
+    this.breaker = options.breaker || new CircuitBreaker();
+    this.callbackUrl = options.callbackUrl ? options.callbackUrl.replace(/\/+$/, "") : null;
+    this.callbackSecret = options.callbackSecret || this.secret;
+    this.logger = options.logger || getLogger();
+  }
+
+  static fromEnv(env = process.env) {
+    const int = (name) => {
+      const value = parseInt(env[name], 10);
+      return Number.isNaN(value) ? undefined : value;
+    };
+    const maxWaitMinutes = parseFloat(env.ANALYSIS_API_MAX_WAIT_MINUTES);
+
+    return new AnalysisClient({
+      baseUrl: env.API_BASE_URL,
+      token: env.ANALYSIS_API_TOKEN,
+      secret: env.ANALYSIS_API_SECRET,
+      timeoutMs: int("ANALYSIS_API_TIMEOUT_MS"),
+      maxRetries: int("ANALYSIS_API_MAX_RETRIES"),
+      retryBaseDelayMs: int("ANALYSIS_API_RETRY_BASE_DELAY_MS"),
+      pollIntervalMs: int("ANALYSIS_API_POLL_INTERVAL_MS"),
+      maxWaitMs: maxWaitMinutes > 0 ? maxWaitMinutes * 60 * 1000 : undefined,
+      callbackUrl: env.ANALYSIS_CALLBACK_URL
+        ? `${env.ANALYSIS_CALLBACK_URL.replace(/\/+$/, "")}/api/analysis-callback`
+        : null,
+      callbackSecret: env.ANALYSIS_CALLBACK_SECRET,
+      breaker: new CircuitBreaker({
+        failureThreshold: int("ANALYSIS_API_CIRCUIT_THRESHOLD"),
+        resetTimeoutMs: int("ANALYSIS_API_CIRCUIT_RESET_MS"),
+      }),
+    });
+  }
+
+  /**
+   * Whether results are pushed to our callback route instead of being polled
+   */
+  usesCallbacks() {
+    return Boolean(this.callbackUrl && this.callbackSecret);
+  }
+
+  /**
+   * Check the X-Covlant-Timestamp / X-Covlant-Signature-256 headers of a callback
+   * @param {Buffer|string} rawBody - Exact bytes the backend signed
+   * @returns {boolean}
+   */
+  verifyCallback(rawBody, headers, now = Date.now()) {
+    const timestamp = headers["x-covlant-timestamp"];
+    const signature = headers["x-covlant-signature-256"];
+    if (!this.callbackSecret || !timestamp || !signature || rawBody === undefined) {
+      return false;
+    }
+    // Unix seconds only; anything else would slip past the replay window below
+    if (!/^\d{1,12}$/.test(timestamp)) {
+      return false;
+    }
+    if (Math.abs(now - Number(timestamp) * 1000) > MAX_CALLBACK_SKEW_MS) {
+      return false;
+    }
+
+    const expected = Buffer.from(signPayload(this.callbackSecret, timestamp, rawBody.toString("utf8")));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  buildHeaders(body) {
+    const headers = { Accept: "application/json" };
+    if (body) headers["Content-Type"] = "application/json";
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    if (this.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      headers["X-Covlant-Timestamp"] = timestamp;
+      headers["X-Covlant-Signature-256"] = signPayload(this.secret, timestamp, body || "");
+    }
+    return headers;
+  }
+
+  retryDelay(attempt, response) {
+    const retryAfter = parseInt(response?.headers.get("retry-after"), 10);
+    if (retryAfter >= 0) {
+      return Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+    }
+    return this.retryBaseDelayMs * 2 ** attempt;
+  }
+
+  /**
+   * One HTTP exchange, with the timeout, retries and circuit breaker applied
+   * @returns {Promise<{ status: number, data: Object }>}
+   */
+  async request(method, path, payload, extraHeaders = {}) {
+    const body = payload === undefined ? "" : JSON.stringify(payload);
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (!this.breaker.allowRequest()) {
+        const seconds = Math.ceil(this.breaker.retryInMs() / 1000);
+        throw new AnalysisAPIError(
+          `Analysis API is unavailable (circuit open after repeated failures, next try in ${seconds}s)`
+            + (lastError ? `: ${lastError.message}` : ""),
+          { retryable: false }
+        );
+      }
+
+      let response = null;
+      try {
+        response = await fetch(`${this.baseUrl}${path}`, {
+          method,
+          headers: { ...this.buildHeaders(body), ...extraHeaders },
+          body: body || undefined,
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+      } catch (error) {
+        lastError = new AnalysisAPIError(
+          error.name === "TimeoutError"
+            ? `Analysis API timed out after ${this.timeoutMs}ms`
+            : `Analysis API unreachable: ${error.cause?.message || error.message}`
+        );
+      }
+
+      if (response) {
+        if (response.ok) {
+          this.breaker.recordSuccess();
+          const text = await response.text();
+          try {
+            return { status: response.status, data: text ? JSON.parse(text) : {} };
+          } catch {
+            throw new AnalysisAPIError("Analysis API returned invalid JSON", { status: response.status });
+          }
+        }
+
+        const detail = await response.text().catch(() => "");
+        const message = `Analysis API error: ${response.status} ${response.statusText}`
+          + (detail ? ` - ${detail.slice(0, 200)}` : "");
+        if (!RETRYABLE_STATUSES.has(response.status)) {
+          // The backend is up and answered; retrying the same request will not help
+          this.breaker.recordSuccess();
+          throw new AnalysisAPIError(message, { status: response.status, retryable: false });
+        }
+        lastError = new AnalysisAPIError(message, { status: response.status });
+      }
+
+      this.breaker.recordFailure();
+      // No point waiting when the next attempt will be refused by the breaker
+      if (attempt < this.maxRetries && this.breaker.state !== "open") {
+        const delay = this.retryDelay(attempt, response);
+        this.logger.warn({ error: lastError.message, delayMs: delay, retry: attempt + 1, maxRetries: this.maxRetries },
+          "Analysis API request failed, retrying");
+        await sleep(delay);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Probe `GET /api/health` once, without retries and outside the circuit breaker so a
+   * readiness check cannot open it. `compatible` is null when the backend does not say
+   * which API version it speaks.
+   * @returns {Promise<{ reachable: boolean, compatible: boolean|null, httpStatus?: number, apiVersion?: number, error?: string, latencyMs: number }>}
+   */
+  async checkHealth({ timeoutMs = 5000 } = {}) {
+    const started = Date.now();
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${HEALTH_PATH}`, {
+        headers: this.buildHeaders(""),
+        signal: AbortSignal.timeout(Math.min(timeoutMs, this.timeoutMs)),
+      });
+    } catch (error) {
+      return {
+        reachable: false,
+        compatible: null,
+        error: error.name === "TimeoutError"
+          ? `timed out after ${Math.min(timeoutMs, this.timeoutMs)}ms`
+          : error.cause?.message || error.message,
+        latencyMs: Date.now() - started,
+      };
+    }
+
+    const latencyMs = Date.now() - started;
+    if (!response.ok) {
+      return { reachable: true, compatible: null, httpStatus: response.status, latencyMs };
+    }
+    const data = await response.json().catch(() => ({}));
+    const apiVersion = parseInt(data.apiVersion, 10);
+    return Number.isNaN(apiVersion)
+      ? { reachable: true, compatible: null, httpStatus: response.status, latencyMs }
+      : { reachable: true, compatible: apiVersion === ANALYSIS_API_VERSION, httpStatus: response.status, apiVersion, latencyMs };
+  }
+
+  /**
+   * Run an analysis and wait for its result
+   * @param {Object} payload - Request body (changedFiles, testDirectories, ...)
+   * @param {Object} options
+   * @param {(progress: { status: string, percent?: number, message?: string }) => Promise<void>} options.onProgress -
+   *   Called whenever an async analysis reports new progress; an error thrown here stops waiting
+   * @returns {Promise<Object>} The analysis result (analysisId, filesToCreate, annotations, ...), or
+   *   `{ analysisId, status: "pending" }` when the result will arrive through the callback route
+   */
+  async analyze(payload, { onProgress } = {}) {
+    const body = this.usesCallbacks() ? { ...payload, callbackUrl: this.callbackUrl } : payload;
+    const submitted = await this.request("POST", ANALYZE_PATH, body, { Prefer: "respond-async" });
+    if (submitted.status !== 202) {
+      return submitted.data;
+    }
+
+    const { analysisId } = submitted.data;
+    if (!analysisId) {
+      throw new AnalysisAPIError("Analysis API accepted the request without an analysisId", { retryable: false });
+    }
+    if (this.usesCallbacks()) {
+      this.logger.info({ analysisId }, "Analysis accepted, waiting for the callback");
+      return { analysisId: String(analysisId), status: "pending" };
+    }
+    this.logger.info({ analysisId }, "Analysis accepted, polling for results");
+
+    const deadline = Date.now() + this.maxWaitMs;
+    let lastProgress = null;
+    let status = submitted.data;
+
+    while (true) {
+      const progress = {
+        status: status.status || "queued",
+        percent: status.progress?.percent,
+        message: status.progress?.message,
+      };
+      const key = JSON.stringify(progress);
+      if (onProgress && key !== lastProgress) {
+        await onProgress(progress);
+      }
+      lastProgress = key;
+
+      if (status.status === "completed") {
+        return { ...(status.result || status), analysisId };
+      }
+      if (status.status === "failed") {
+        throw new AnalysisAPIError(`Analysis ${analysisId} failed: ${status.error || "no reason given"}`, {
+          retryable: false,
+        });
+      }
+      if (Date.now() >= deadline) {
+        throw new AnalysisAPIError(
+          `Analysis ${analysisId} did not finish within ${Math.round(this.maxWaitMs / 60000)} minutes`
+        );
+      }
+
+      await sleep(this.pollIntervalMs);
+      ({ data: status } = await this.request("GET", `${ANALYZE_PATH}/${encodeURIComponent(analysisId)}`));
+    }
+  }
+}
+
+export default AnalysisClient;
@@ -0,0 +1,286 @@
+import { ANALYSIS_BRANCH_PREFIX } from "./git-service.js";
+import { getLogger } from "./logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// auto-analysis-pr-<source PR>[-<timestamp>]
+const ANALYSIS_BRANCH_PATTERN = new RegExp(`^${ANALYSIS_BRANCH_PREFIX}(\\d+)(?:-\\d+)?$`);
+
+const FOOTER = "\n\n---\n*🤖 Automated by Covlant App*";
+
+/**
+ * Cleans up what `create_pr` runs leave behind: analysis PRs and branches of closed
+ * or merged source PRs, and orphaned analysis branches. Every action is recorded
+ * in the run history.
+ */
+class AnalysisLifecycle {
+  /**
+   * @param {Object} options
+   * @param {Object} options.appAuth - GitHubAppAuth used to reach each repository
+   * @param {Object} options.runStore - Run history the actions are recorded in
+   * @param {number} options.maxBranchAgeMs - Orphaned branches older than this are deleted
+   * @param {number} options.sweepIntervalMs - How often to sweep; 0 disables the sweep
+   * @param {import("pino").Logger} options.logger
+   */
+  constructor({ appAuth, runStore, maxBranchAgeMs, sweepIntervalMs, logger } = {}) {
+    this.appAuth = appAuth;
+    this.logger = logger || getLogger();
+    this.runStore = runStore;
+    this.maxBranchAgeMs = maxBranchAgeMs ?? 14 * DAY_MS;
+    this.sweepIntervalMs = sweepIntervalMs ?? DAY_MS;
+    this.timer = null;
+    this.sweeping = null;
+  }
+
+  static fromEnv(options, env = process.env) {
+    const maxAgeDays = parseFloat(env.ORPHAN_BRANCH_MAX_AGE_DAYS);
+    const intervalHours = parseFloat(env.BRANCH_SWEEP_INTERVAL_HOURS);
+    return new AnalysisLifecycle({
+      ...options,
+      maxBranchAgeMs: maxAgeDays > 0 ? maxAgeDays * DAY_MS : undefined,
+      sweepIntervalMs: intervalHours >= 0 ? intervalHours * 60 * 60 * 1000 : undefined,
+    });
+  }
+
+  /**
+   * Number of the source PR an analysis branch belongs to, or null for other branches
+   */
+  static sourcePRNumber(branch) {
+    const match = branch.match(ANALYSIS_BRANCH_PATTERN);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  record(repoFullName, prNumber, action, details) {
+    const runId = details.analysisPrNumber
+      ? this.runStore
+          .listRuns({ repo: repoFullName, prNumber })
+          .find((run) => run.analysisPrNumber === details.analysisPrNumber)?.id ?? null
+      : null;
+    this.runStore.recordEvent({ repo: repoFullName, prNumber, runId, action, details });
+    this.logger.info({ repo: repoFullName, prNumber, action, details }, "Lifecycle action");
+  }
+
+  /**
+   * Open analysis PRs stacked on a source PR
+   */
+  async findAnalysisPRs(octokit, owner, repo, sourcePR) {
+    const pulls = await octokit.paginate(octokit.pulls.list, {
+      owner,
+      repo,
+      state: "open",
+      base: sourcePR.head.ref,
+      per_page: 100,
+    });
+    return pulls.filter(
+      (pull) => AnalysisLifecycle.sourcePRNumber(pull.head.ref) === sourcePR.number
+    );
+  }
+
+  async deleteBranch(octokit, owner, repo, branch) {
+    try {
+      await octokit.git.deleteRef({ owner, repo, ref: `heads/${branch}` });
+      return true;
+    } catch (error) {
+      // Already gone (e.g. deleted by "Automatically delete head branches")
+      if (error.status === 404 || error.status === 422) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async closeAnalysisPR(octokit, repoFullName, analysisPR, sourcePR, reason) {
+    const [owner, repo] = repoFullName.split("/");
+    await octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number: analysisPR.number,
+      body: `🧹 Closing: ${reason}${FOOTER}`,
+    });
+    await octokit.pulls.update({ owner, repo, pull_number: analysisPR.number, state: "closed" });
+    this.record(repoFullName, sourcePR.number, "analysis_pr_closed", {
+      analysisPrNumber: analysisPR.number,
+      reason,
+    });
+
+    if (await this.deleteBranch(octokit, owner, repo, analysisPR.head.ref)) {
+      this.record(repoFullName, sourcePR.number, "branch_deleted", {
+        analysisPrNumber: analysisPR.number,
+        branch: analysisPR.head.ref,
+      });
+    }
+  }
+
+  async branchExists(octokit, owner, repo, branch) {
+    try {
+      await octokit.git.getRef({ owner, repo, ref: `heads/${branch}` });
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async retargetAnalysisPR(octokit, repoFullName, analysisPR, sourcePR) {
+    const [owner, repo] = repoFullName.split("/");
+    const base = sourcePR.base.ref;
+    await octokit.pulls.update({ owner, repo, pull_number: analysisPR.number, base });
+    await octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number: analysisPR.number,
+      body: `🔀 #${sourcePR.number} was merged, so this PR now targets \`${base}\`.${FOOTER}`,
+    });
+    this.record(repoFullName, sourcePR.number, "analysis_pr_retargeted", {
+      analysisPrNumber: analysisPR.number,
+      base,
+    });
+  }
+
+  /**
+   * Apply the close/merge rules to the analysis PRs of a source PR
+   * @param {Object} options
+   * @param {string} options.onMerge - "retarget" or "close" (from .covlant.yml)
+   * @returns {Promise<Object[]>} One entry per analysis PR handled
+   */
+  async handleSourceClosed(octokit, repoFullName, sourcePR, { onMerge = "retarget" } = {}) {
+    const [owner, repo] = repoFullName.split("/");
+    const analysisPRs = await this.findAnalysisPRs(octokit, owner, repo, sourcePR);
+    const results = [];
+
+    for (const analysisPR of analysisPRs) {
+      try {
+        // A PR cannot target a branch that is gone (e.g. the source PR's own base was deleted)
+        const retarget = sourcePR.merged && onMerge === "retarget"
+          && await this.branchExists(octokit, owner, repo, sourcePR.base.ref);
+        if (retarget) {
+          await this.retargetAnalysisPR(octokit, repoFullName, analysisPR, sourcePR);
+          results.push({ number: analysisPR.number, action: "retargeted" });
+        } else {
+          const reason = !sourcePR.merged
+            ? `#${sourcePR.number} was closed without merging.`
+            : onMerge === "retarget"
+              ? `#${sourcePR.number} was merged, but its base branch \`${sourcePR.base.ref}\` no longer exists to retarget to.`
+              : `#${sourcePR.number} was merged.`;
+          await this.closeAnalysisPR(octokit, repoFullName, analysisPR, sourcePR, reason);
+          results.push({ number: analysisPR.number, action: "closed" });
+        }
+      } catch (error) {
+        this.logger.error({ analysisPrNumber: analysisPR.number, error: error.message }, "Failed to clean up analysis PR");
+        this.record(repoFullName, sourcePR.number, "cleanup_failed", {
+          analysisPrNumber: analysisPR.number,
+          error: error.message,
+        });
+        results.push({ number: analysisPR.number, action: "failed", error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Delete analysis branches in one repository that are older than the age limit,
+   * have no open PR and whose source PR is closed
+   */
+  async sweepRepository(octokit, repoFullName, now = Date.now()) {
+    const [owner, repo] = repoFullName.split("/");
+    const refs = await octokit.paginate(octokit.git.listMatchingRefs, {
+      owner,
+      repo,
+      ref: `heads/${ANALYSIS_BRANCH_PREFIX}`,
+      per_page: 100,
+    });
+
+    const deleted = [];
+    for (const ref of refs) {
+      const branch = ref.ref.replace(/^refs\/heads\//, "");
+      const sourceNumber = AnalysisLifecycle.sourcePRNumber(branch);
+      if (sourceNumber === null) continue;
+
+      const { data: commit } = await octokit.git.getCommit({ owner, repo, commit_sha: ref.object.sha });
+      const age = now - new Date(commit.committer.date).getTime();
+      if (age < this.maxBranchAgeMs) continue;
+
+      const { data: openPRs } = await octokit.pulls.list({
+        owner,
+        repo,
+        state: "open",
+        head: `${owner}:${branch}`,
+      });
+      if (openPRs.length > 0) continue;
+
+      // An analysis PR closed by hand leaves its branch for the next run while the source is open
+      if (await this.isPullRequestOpen(octokit, owner, repo, sourceNumber)) continue;
+
+      if (await this.deleteBranch(octokit, owner, repo, branch)) {
+        this.record(repoFullName, sourceNumber, "orphan_branch_deleted", {
+          branch,
+          ageDays: Math.floor(age / DAY_MS),
+        });
+        deleted.push(branch);
+      }
+    }
+    return deleted;
+  }
+
+  async isPullRequestOpen(octokit, owner, repo, number) {
+    try {
+      const { data } = await octokit.pulls.get({ owner, repo, pull_number: number });
+      return data.state === "open";
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Sweep every repository in the run history
+   */
+  async sweep(now = Date.now()) {
+    if (this.sweeping) {
+      return this.sweeping;
+    }
+
+    this.sweeping = (async () => {
+      const results = {};
+      for (const { repo, installationId } of this.runStore.listRepositories()) {
+        try {
+          const octokit = this.appAuth.getInstallationOctokit(installationId);
+          results[repo] = await this.sweepRepository(octokit, repo, now);
+        } catch (error) {
+          this.logger.error({ repo, error: error.message }, "Branch sweep failed");
+          results[repo] = { error: error.message };
+        }
+      }
+      return results;
+    })().finally(() => {
+      this.sweeping = null;
+    });
+    return this.sweeping;
+  }
+
+  start() {
+    if (this.timer || !this.sweepIntervalMs) return;
+    this.timer = setInterval(() => {
+      this.sweep().catch((error) => this.logger.error({ error: error.message }, "Branch sweep failed"));
+    }, this.sweepIntervalMs);
+    this.timer.unref();
+    this.logger.info(
+      { intervalHours: this.sweepIntervalMs / 3600000, maxAgeDays: this.maxBranchAgeMs / DAY_MS },
+      "Analysis branch sweep scheduled"
+    );
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.sweeping;
+  }
+}
+
+export default AnalysisLifecycle;
@@ -0,0 +1,94 @@
+export const COMMAND_PREFIX = "/covlant";
+
+const ANALYZE_MODES = {
+  pr: "create_pr",
+  comments: "add_comments",
+};
+
+export const COMMAND_HELP = [
+  { usage: "analyze [paths...]", description: "Generate tests using the repository's default mode" },
+  { usage: "analyze pr [paths...]", description: "Generate tests and open them as a new PR" },
+  { usage: "analyze comments [paths...]", description: "Generate tests and post them as a review on this PR" },
+  { usage: "rerun [paths...]", description: "Run the last analysis on this PR again" },
+  { usage: "cancel", description: "Cancel the analysis that is queued or running" },
+  { usage: "status", description: "Show the state of the latest analysis" },
+  { usage: "help", description: "Show this help" },
+];
+
+const validatePaths = (paths) => {
+  const invalid = paths.find(
+    (p) => p.startsWith("/") || p.split("/").includes("..")
+  );
+  return invalid ? `Invalid path \`${invalid}\` - use paths relative to the repository root` : null;
+};
+
+/**
+ * Parse a `/covlant ...` command out of a comment body
+ * @param {string} body - Comment body
+ * @returns {null|{command: string, mode?: string|null, paths: string[], raw: string, error?: string}}
+ *   null when the comment contains no command; mode is null for `analyze` without a mode
+ */
+export function parseCommand(body) {
+  const line = (body || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .find((l) => l === COMMAND_PREFIX || l.startsWith(`${COMMAND_PREFIX} `));
+
+  if (!line) {
+    return null;
+  }
+
+  const [, command, ...args] = line.split(/\s+/);
+  const result = { command: command?.toLowerCase() || null, paths: [], raw: line };
+
+  switch (result.command) {
+    case "analyze": {
+      // Without a mode the caller falls back to the repository's default mode
+      const mode = args[0] && ANALYZE_MODES[args[0].toLowerCase()];
+      // A bare word is read as a mode, so a typo like `coments` is not taken for a path
+      if (args[0] && !mode && !/[/.*?[{]/.test(args[0])) {
+        result.error = `Unknown mode \`${args[0]}\` - use ${Object.keys(ANALYZE_MODES).map((m) => `\`${m}\``).join(" or ")}, `
+          + `or write a top-level directory as \`${args[0]}/\``;
+        return result;
+      }
+      result.mode = mode || null;
+      result.paths = mode ? args.slice(1) : args;
+      break;
+    }
+    case "rerun":
+      result.paths = args;
+      break;
+    case "cancel":
+    case "status":
+    case "help":
+      if (args.length > 0) {
+        result.error = `\`${result.command}\` does not take arguments`;
+      }
+      return result;
+    case null:
+      result.error = "No command given";
+      return result;
+    default:
+      result.error = `Unknown command \`${command}\``;
+      return result;
+  }
+
+  const pathError = validatePaths(result.paths);
+  if (pathError) {
+    result.error = pathError;
+  }
+  return result;
+}
+
+/**
+ * Keep only the changed files under one of the requested paths
+ */
+export function filterFilesByPaths(fileChanges, paths = []) {
+  if (!paths.length) {
+    return fileChanges;
+  }
+  const prefixes = paths.map((p) => p.replace(/^\.\//, "").replace(/\/+$/, ""));
+  return fileChanges.filter((file) =>
+    prefixes.some((prefix) => file.filename === prefix || file.filename.startsWith(`${prefix}/`))
+  );
+}
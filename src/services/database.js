@@ -0,0 +1,18 @@
+import fs from "node:fs";
+import path from "node:path";
+import Database from "better-sqlite3";
+
+/**
+ * Open (and create if needed) the local SQLite database
+ * @param {string} filename - Database file, or ":memory:" for tests
+ */
+export function openDatabase(filename = process.env.DATABASE_PATH || "./data/covlant.db") {
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  return db;
+}
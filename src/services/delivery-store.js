@@ -0,0 +1,58 @@
+class DeliveryStore {
+  /**
+   * @param {import("better-sqlite3").Database} db - Database the delivery IDs persist in
+   * @param {Object} options
+   * @param {number} options.ttlMs - How long a delivery ID is remembered
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    // GitHub allows redelivering a webhook for up to 3 days
+    this.ttlMs = options.ttlMs || 3 * 24 * 60 * 60 * 1000;
+    this.migrate();
+  }
+
+  static fromEnv(db, env = process.env) {
+    const ttlHours = parseFloat(env.DELIVERY_TTL_HOURS);
+    return new DeliveryStore(db, {
+      ttlMs: ttlHours > 0 ? ttlHours * 60 * 60 * 1000 : undefined,
+    });
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        event TEXT,
+        received_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS webhook_deliveries_expires_at ON webhook_deliveries (expires_at);
+    `);
+  }
+
+  /**
+   * Record a delivery ID
+   * @returns {boolean} true the first time an ID is seen, false for a duplicate
+   */
+  markSeen(deliveryId, event = null) {
+    const now = Date.now();
+    this.db.prepare("DELETE FROM webhook_deliveries WHERE expires_at <= ?").run(now);
+
+    const { changes } = this.db
+      .prepare(
+        `INSERT OR IGNORE INTO webhook_deliveries (id, event, received_at, expires_at)
+         VALUES (?, ?, ?, ?)`
+      )
+      .run(deliveryId, event, now, now + this.ttlMs);
+    return changes > 0;
+  }
+
+  /**
+   * Forget a delivery so a redelivery is processed again (used when handling failed)
+   */
+  forget(deliveryId) {
+    this.db.prepare("DELETE FROM webhook_deliveries WHERE id = ?").run(deliveryId);
+  }
+}
+
+export default DeliveryStore;
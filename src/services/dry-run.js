@@ -0,0 +1,137 @@
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { getLogger } from "./logger.js";
+import { isWriteRequest } from "./github-requests.js";
+
+// Writes made outside any webhook, job or admin request end up in this plan
+const BACKGROUND_PLAN = "background";
+
+// Request options that describe the transport rather than the GitHub call
+const TRANSPORT_OPTIONS = ["method", "url", "baseUrl", "headers", "mediaType", "request"];
+
+class DryRunRecorder {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Record GitHub writes instead of performing them
+   * @param {number} options.maxPlans - Plans kept in memory; the oldest are dropped first
+   * @param {import("pino").Logger} options.logger
+   */
+  constructor({ enabled = false, maxPlans = 100, logger } = {}) {
+    this.enabled = enabled;
+    this.logger = logger || getLogger();
+    this.maxPlans = maxPlans;
+    this.plans = new Map(); // planId -> { id, createdAt, updatedAt, actions }
+    this.context = new AsyncLocalStorage();
+    this.instrumented = new WeakSet();
+  }
+
+  static fromEnv(env = process.env) {
+    return new DryRunRecorder({
+      enabled: env.DRY_RUN === "true",
+      maxPlans: parseInt(env.DRY_RUN_MAX_PLANS, 10) || 100,
+    });
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Run `fn` with every GitHub write it makes recorded in plan `planId`
+   */
+  run(planId, fn) {
+    if (!this.enabled) {
+      return fn();
+    }
+    this.ensurePlan(planId);
+    return this.context.run(planId, fn);
+  }
+
+  currentPlanId() {
+    return this.context.getStore() || null;
+  }
+
+  /**
+   * Make an Octokit client record its writes instead of sending them (once per client);
+   * reads still go to GitHub
+   */
+  instrument(octokit) {
+    if (!this.enabled || this.instrumented.has(octokit)) {
+      return octokit;
+    }
+
+    octokit.hook.wrap("request", async (request, options) => {
+      if (!isWriteRequest(options)) {
+        return request(options);
+      }
+      const action = this.record(this.currentPlanId() || BACKGROUND_PLAN, options);
+      return { status: options.method === "POST" ? 201 : 200, url: action.url, headers: {}, data: action.response };
+    });
+    this.instrumented.add(octokit);
+    return octokit;
+  }
+
+  /**
+   * Add a write to a plan and make up the response GitHub would have sent
+   */
+  record(planId, options) {
+    const plan = this.ensurePlan(planId);
+    const params = Object.fromEntries(
+      Object.entries(options).filter(([key]) => !TRANSPORT_OPTIONS.includes(key))
+    );
+    const sequence = plan.actions.length + 1;
+    const fakeSha = crypto.createHash("sha1").update(`${planId}:${sequence}`).digest("hex");
+    // Negative IDs never collide with real GitHub objects
+    const fakeId = -sequence;
+    const number = params.pull_number ?? params.issue_number ?? fakeId;
+
+    const action = {
+      sequence,
+      at: new Date().toISOString(),
+      method: options.method,
+      route: `${options.method} ${options.url}`,
+      url: options.url.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match),
+      params,
+      response: {
+        ...params,
+        id: fakeId,
+        node_id: `DRY_RUN_${sequence}`,
+        number,
+        sha: fakeSha,
+        object: { sha: params.sha || fakeSha },
+        html_url: `https://github.com/${params.owner}/${params.repo}#dry-run-${sequence}`,
+      },
+    };
+    plan.actions.push(action);
+    plan.updatedAt = action.at;
+    this.logger.info({ planId, route: action.route, url: action.url }, "Dry run: recorded GitHub write");
+    return action;
+  }
+
+  ensurePlan(planId) {
+    if (!this.plans.has(planId)) {
+      const now = new Date().toISOString();
+      this.plans.set(planId, { id: planId, createdAt: now, updatedAt: now, actions: [] });
+      while (this.plans.size > this.maxPlans) {
+        this.plans.delete(this.plans.keys().next().value);
+      }
+    }
+    return this.plans.get(planId);
+  }
+
+  /**
+   * A plan with the actions recorded so far (jobs keep adding to it after the webhook returned)
+   */
+  getPlan(planId) {
+    const plan = this.plans.get(planId);
+    return plan ? { ...plan, actions: plan.actions.map(({ response, ...action }) => action) } : null;
+  }
+
+  listPlans() {
+    return [...this.plans.values()]
+      .reverse()
+      .map(({ actions, ...plan }) => ({ ...plan, actionCount: actions.length }));
+  }
+}
+
+export default DryRunRecorder;
@@ -0,0 +1,189 @@
+import path from "node:path";
+import picomatch from "picomatch";
+import { CONFIG_FILENAME } from "./repo-config.js";
+
+const LANGUAGES = {
+  javascript: [".js", ".jsx", ".mjs", ".cjs"],
+  typescript: [".ts", ".tsx", ".mts", ".cts"],
+  python: [".py"],
+  java: [".java"],
+  kotlin: [".kt", ".kts"],
+  go: [".go"],
+  ruby: [".rb"],
+  rust: [".rs"],
+  csharp: [".cs"],
+  c: [".c", ".h"],
+  cpp: [".cc", ".cpp", ".cxx", ".hpp", ".hh"],
+  php: [".php"],
+  swift: [".swift"],
+  scala: [".scala"],
+};
+
+const LANGUAGE_BY_EXTENSION = new Map(
+  Object.entries(LANGUAGES).flatMap(([language, extensions]) => extensions.map((ext) => [ext, language]))
+);
+
+const CONFIG_EXTENSIONS = new Set([".json", ".yml", ".yaml", ".toml", ".ini", ".cfg", ".conf", ".xml", ".properties", ".env"]);
+const CONFIG_FILES = new Set(["Dockerfile", "Makefile", "Procfile", "Gemfile", "Rakefile", "CODEOWNERS"]);
+const DOC_EXTENSIONS = new Set([".md", ".mdx", ".rst", ".txt", ".adoc"]);
+const ASSET_EXTENSIONS = new Set([
+  ".png", ".jpg", ".jpeg", ".gif", ".svg", ".ico", ".webp", ".bmp", ".pdf",
+  ".woff", ".woff2", ".ttf", ".otf", ".eot", ".mp3", ".mp4", ".wav", ".zip", ".gz", ".jar",
+  ".css", ".scss", ".sass", ".less",
+]);
+
+const LOCKFILES = new Set([
+  "package-lock.json", "npm-shrinkwrap.json", "yarn.lock", "pnpm-lock.yaml", "bun.lockb",
+  "Gemfile.lock", "Cargo.lock", "poetry.lock", "Pipfile.lock", "composer.lock", "go.sum", "mix.lock",
+]);
+
+const isGeneratedPath = picomatch([
+  "**/*.min.js", "**/*.min.css", "**/*.map", "**/*.pb.go", "**/*_pb2.py", "**/*.generated.*",
+  "**/dist/**", "**/__generated__/**",
+], { dot: true });
+
+const isVendoredPath = picomatch([
+  "**/vendor/**", "**/node_modules/**", "**/third_party/**", "**/third-party/**",
+], { dot: true });
+
+const isTestPath = picomatch([
+  "**/test/**", "**/tests/**", "**/__tests__/**", "**/spec/**",
+  "**/*.test.*", "**/*.spec.*", "**/test_*.py", "**/*_test.py", "**/*_test.go",
+  "**/*Test.java", "**/*Tests.java", "**/*Test.kt", "**/*Tests.cs", "**/*_spec.rb",
+], { dot: true });
+
+/**
+ * Parse `.gitattributes` into the rules that mark files generated or vendored
+ * @returns {{ matches: (filename: string) => boolean, generated?: boolean, vendored?: boolean }[]}
+ */
+export function parseGitattributes(text = "") {
+  const rules = [];
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+
+    const [pattern, ...attributes] = trimmed.split(/\s+/);
+    const rule = {};
+    for (const attribute of attributes) {
+      const match = attribute.match(/^(-|!)?linguist-(generated|vendored)(?:=(true|false))?$/);
+      if (!match) continue;
+      const [, negated, name, value] = match;
+      rule[name] = !negated && value !== "false";
+    }
+    if (rule.generated === undefined && rule.vendored === undefined) continue;
+
+    // Like .gitignore: a pattern without a slash matches at any depth, otherwise from the root
+    let glob = pattern.endsWith("/") ? `${pattern}**` : pattern;
+    glob = pattern.replace(/\/$/, "").includes("/") ? glob.replace(/^\//, "") : `**/${glob}`;
+    rule.matches = picomatch(glob, { dot: true });
+    rules.push(rule);
+  }
+  return rules;
+}
+
+/**
+ * Resolve a file's linguist attributes; later lines win, as in git
+ */
+const linguistAttributes = (filename, rules) => {
+  const attributes = {};
+  for (const rule of rules) {
+    if (!rule.matches(filename)) continue;
+    if (rule.generated !== undefined) attributes.generated = rule.generated;
+    if (rule.vendored !== undefined) attributes.vendored = rule.vendored;
+  }
+  return attributes;
+};
+
+/**
+ * Classify a file by language and role (source, test, config, asset, docs, generated, vendored)
+ * @param {string} filename - Path relative to the repository root
+ * @param {Object} options
+ * @param {Object[]} options.gitattributes - Rules from parseGitattributes()
+ * @param {Object} options.testDirectories - Test directory per language (from .covlant.yml)
+ */
+export function classifyFile(filename, { gitattributes = [], testDirectories = {} } = {}) {
+  const basename = path.posix.basename(filename);
+  const extension = path.posix.extname(basename).toLowerCase();
+  const language = LANGUAGE_BY_EXTENSION.get(extension) || null;
+  const attributes = linguistAttributes(filename, gitattributes);
+
+  const inTestDirectory = Object.values(testDirectories).some((dir) => {
+    const prefix = dir.replace(/^\.?\//, "").replace(/\/*$/, "/");
+    return filename.startsWith(prefix);
+  });
+
+  let role;
+  if (attributes.vendored ?? isVendoredPath(filename)) {
+    role = "vendored";
+  } else if (attributes.generated ?? (LOCKFILES.has(basename) || isGeneratedPath(filename))) {
+    role = "generated";
+  } else if (language && (inTestDirectory || isTestPath(filename))) {
+    role = "test";
+  } else if (language) {
+    role = "source";
+  } else if (DOC_EXTENSIONS.has(extension)) {
+    role = "docs";
+  } else if (ASSET_EXTENSIONS.has(extension)) {
+    role = "asset";
+  } else if (CONFIG_EXTENSIONS.has(extension) || CONFIG_FILES.has(basename) || basename.startsWith(".")) {
+    role = "config";
+  } else {
+    role = "other";
+  }
+
+  return {
+    language,
+    role,
+    source: attributes.vendored !== undefined || attributes.generated !== undefined ? ".gitattributes" : null,
+  };
+}
+
+const ROLE_REASONS = {
+  test: "test file",
+  config: "configuration",
+  asset: "asset",
+  docs: "documentation",
+  generated: "generated",
+  vendored: "vendored",
+  other: "unsupported file type",
+};
+
+/**
+ * Split changed files into the ones worth analysing and the ones left out, with a reason for each.
+ * Every file gets `language` and `role` fields.
+ * @param {Object[]} fileChanges - Files from GitService.listPRFiles()
+ * @param {Object} options
+ * @param {Object} options.config - Effective repository config
+ * @param {Object[]} options.gitattributes - Rules from parseGitattributes()
+ * @returns {{ eligible: Object[], excluded: Object[] }} excluded files carry a `reason`
+ */
+export function filterChangedFiles(fileChanges, { config, gitattributes = [] }) {
+  const isIncluded = config.include.length ? picomatch(config.include, { dot: true }) : () => true;
+  const isExcluded = config.exclude.length ? picomatch(config.exclude, { dot: true }) : () => false;
+
+  const eligible = [];
+  const excluded = [];
+  for (const file of fileChanges) {
+    const { language, role, source } = classifyFile(file.filename, {
+      gitattributes,
+      testDirectories: config.testDirectories,
+    });
+    const classified = { ...file, language, role };
+
+    let reason = null;
+    if (file.status === "removed") {
+      reason = "deleted";
+    } else if (!isIncluded(file.filename) || isExcluded(file.filename)) {
+      reason = `excluded by \`${CONFIG_FILENAME}\``;
+    } else if (role !== "source") {
+      reason = source ? `${ROLE_REASONS[role]} (\`${source}\`)` : ROLE_REASONS[role];
+    }
+
+    if (reason) {
+      excluded.push({ ...classified, reason });
+    } else {
+      eligible.push(classified);
+    }
+  }
+  return { eligible, excluded };
+}
@@ -1,11 +1,37 @@
-import { Octokit } from "@octokit/rest";
+import AnalysisClient from "./analysis-client.js";
+import { DEFAULT_CONFIG } from "./repo-config.js";
+import { applyWritePolicy, validateAnalysisResponse } from "./write-policy.js";
+import { getLogger } from "./logger.js";
+
+// Branches (and PRs) created by the app; webhooks for them are never analysed
+export const ANALYSIS_BRANCH_PREFIX = "auto-analysis-pr-";
+
+// Trailer on every commit the app makes, so its own commits can be told apart from human ones
+const COMMIT_TRAILER = "Covlant-Analysis-For";
+
+// Hidden markers around the run changelog in the analysis PR body
+const CHANGELOG_START = "<!-- covlant-app:changelog:start -->";
+const CHANGELOG_END = "<!-- covlant-app:changelog:end -->";
+
+// GitHub's pull request files endpoint stops listing after this many files
+export const MAX_PR_FILES = 3000;
+
+// Text files up to this size are sent inline in the tree instead of as separate blobs
+const INLINE_CONTENT_LIMIT = 512 * 1024;
 
 class GitService {
-  constructor() {
-    this.octokit = new Octokit({
-      auth: process.env.GITHUB_TOKEN,
-    });
-    this.apiBaseUrl = process.env.API_BASE_URL || 'http://localhost:3000';
+  /**
+   * @param {import("@octokit/rest").Octokit} octokit - Client for the webhook's installation
+   * @param {Object} options
+   * @param {AnalysisClient} options.analysisClient - Shared client for the analysis backend
+   * @param {import("pino").Logger} options.logger
+   * @param {import("./metrics.js").default} options.metrics - Records analysis API latency
+   */
+  constructor(octokit, { analysisClient, logger, metrics } = {}) {
+    this.octokit = octokit;
+    this.logger = logger || getLogger();
+    this.analysisClient = analysisClient || AnalysisClient.fromEnv();
+    this.metrics = metrics || null;
   }
 
   parseGitHubUrl(url) {
@@ -16,67 +42,162 @@ class GitService {
   }
 
   /**
-   * Get unique directories from changed files
+   * Count the changed lines actually present in a patch. GitHub's patches have no file
+   * headers, only `@@` hunk headers, so a line starting with `+++` or `---` is a changed
+   * line too (e.g. an added `++i;`).
+   */
+  countPatchChanges(patch) {
+    return patch
+      .split("\n")
+      .filter((line) => line.startsWith("+") || line.startsWith("-"))
+      .length;
+  }
+
+  /**
+   * List every file changed in a PR (authenticated, paginated up to GitHub's 3000-file limit)
+   * @param {string} prUrl - https://github.com/owner/repo/pull/123
    */
+  async listPRFiles(prUrl) {
+    const { owner, repo } = this.parseGitHubUrl(prUrl);
+    const pullNumber = parseInt(prUrl.split("/pull/")[1], 10);
+    if (!pullNumber) throw new Error("Invalid pull request URL");
+
+    this.logger.debug({ pullNumber }, "Fetching changed files");
+
+    const files = await this.octokit.paginate(this.octokit.pulls.listFiles, {
+      owner,
+      repo,
+      pull_number: pullNumber,
+      per_page: 100,
+    });
+
+    if (files.length >= MAX_PR_FILES) {
+      this.logger.warn({ files: files.length }, `PR lists more files than GitHub returns (${MAX_PR_FILES})`);
+    }
+    this.logger.info({ files: files.length }, "Fetched changed files");
+
+    return files.map((file) => {
+      // GitHub leaves out the patch for binary and very large diffs and may cut long ones short
+      const patchOmitted = !file.patch && file.changes > 0;
+      const patchTruncated = Boolean(file.patch)
+        && this.countPatchChanges(file.patch) < file.additions + file.deletions;
+
+      return {
+        filename: file.filename,
+        previous_filename: file.previous_filename, // set for renames
+        status: file.status, // added, modified, removed, renamed, copied, changed, unchanged
+        additions: file.additions,
+        deletions: file.deletions,
+        changes: file.changes,
+        patch: file.patch, // The actual diff
+        patchOmitted,
+        patchTruncated,
+        sha: file.sha,
+        blob_url: file.blob_url,
+        raw_url: file.raw_url,
+      };
+    });
+  }
+
+  /**
+   * The request body sent to the analysis API
+   * @param {Object} options
+   * @param {Object} options.testDirectories - Target test directory per language (from .covlant.yml)
+   */
+  buildAnalysisRequest(changedFiles, options = {}) {
+    return {
+      changedFiles: changedFiles,
+      ...(options.testDirectories && Object.keys(options.testDirectories).length
+        ? { testDirectories: options.testDirectories }
+        : {})
+    };
+  }
+
   /**
    * Call external API to get file analysis and paths
+   * @param {Object} options
+   * @param {Object} options.testDirectories - Target test directory per language (from .covlant.yml)
+   * @param {Function} options.onProgress - Progress callback for long-running analyses (see AnalysisClient.analyze)
    */
-  async callAnalysisAPI(changedFiles) {
+  async callAnalysisAPI(changedFiles, options = {}) {
+    const endTimer = this.metrics?.startAnalysisTimer();
     try {
-      console.log('Calling analysis API...');
-      
-      const response = await fetch(`${this.apiBaseUrl}/api/analyze-files`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          changedFiles: changedFiles
-        })
-      });
+      this.logger.info({ files: changedFiles.length }, "Calling analysis API");
 
-      if (!response.ok) {
-        throw new Error(`Analysis API error: ${response.status} ${response.statusText}`);
-      }
+      const result = await this.analysisClient.analyze(
+        this.buildAnalysisRequest(changedFiles, options),
+        { onProgress: options.onProgress }
+      );
 
-      const result = await response.json();
-      console.log('Analysis API response received:', {
-        filesCount: result.filesToCreate?.length || 0,
+      const problems = validateAnalysisResponse(result);
+      if (problems.length > 0) {
+        throw new Error(`Invalid analysis API response: ${problems.slice(0, 5).join('; ')}`);
+      }
+      this.logger.info({
         analysisId: result.analysisId,
+        filesCount: result.filesToCreate?.length || 0,
         filePaths: result.filesToCreate?.map(f => f.path) || []
-      });
+      }, "Analysis API response received");
 
+      endTimer?.({ outcome: result.status === 'pending' ? 'submitted' : 'completed' });
       return result;
     } catch (error) {
-      console.error('Error calling analysis API:', error.message);
+      endTimer?.({ outcome: 'failed' });
+      this.logger.error({ error: error.message, status: error.status }, "Analysis API call failed");
       throw error;
     }
   }
 
+  /**
+   * Whether a path exists in the repository at a ref
+   */
+  async fileExists(owner, repo, path, ref) {
+    try {
+      await this.octokit.repos.getContent({ owner, repo, path, ref });
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
 
+  /**
+   * Every path (files and directories) in the repository at a commit or tree, from one
+   * recursive tree listing; null when GitHub truncated the listing (very large trees)
+   * @returns {Promise<Set<string>|null>}
+   */
+  async listTreePaths(owner, repo, treeSha) {
+    const { data } = await this.octokit.git.getTree({ owner, repo, tree_sha: treeSha, recursive: "true" });
+    if (data.truncated) {
+      this.logger.warn({ treeSha }, "Repository tree listing truncated by GitHub");
+      return null;
+    }
+    return new Set(data.tree.map((entry) => entry.path));
+  }
 
   /**
-   * Create new branch remotely via GitHub API
+   * An `exists(path)` check against one commit: the tree is listed once, on first use, and
+   * single paths are only looked up if GitHub truncates the listing
    */
-  async createRemoteBranch(repoUrl, baseBranch, newBranchName) {
-    const { owner, repo } = this.parseGitHubUrl(repoUrl);
-    console.log(`Owner: ${owner}, Repo: ${repo}`);
+  existsAt(owner, repo, sha) {
+    let paths = null;
+    return async (path) => {
+      paths ??= this.listTreePaths(owner, repo, sha);
+      const listed = await paths;
+      return listed ? listed.has(path) : this.fileExists(owner, repo, path, sha);
+    };
+  }
 
-    console.log(
-      `Creating remote branch: ${newBranchName} based on ${baseBranch}`
-    );
+  /**
+   * Create new branch remotely via GitHub API, pointing at `baseSha`
+   */
+  async createRemoteBranch(repoUrl, baseSha, newBranchName) {
+    const { owner, repo } = this.parseGitHubUrl(repoUrl);
+    this.logger.info({ branch: newBranchName, baseSha }, "Creating remote branch");
 
     try {
-      // Get the SHA of the base branch
-      const baseBranchRef = await this.octokit.git.getRef({
-        owner,
-        repo,
-        ref: `heads/${baseBranch}`,
-      });
-
-      const baseSha = baseBranchRef.data.object.sha;
-      console.log(`Base branch ${baseBranch} SHA: ${baseSha}`);
-
       // Create new branch
       await this.octokit.git.createRef({
         owner,
@@ -85,92 +206,306 @@ class GitService {
         sha: baseSha,
       });
 
-      console.log(`Successfully created remote branch: ${newBranchName}`);
+      this.logger.info({ branch: newBranchName }, "Created remote branch");
       return { owner, repo, baseSha };
     } catch (error) {
-      console.error("Error creating remote branch:", error.message);
+      this.logger.error({ branch: newBranchName, error: error.message, status: error.status }, "Failed to create remote branch");
       throw error;
     }
   }
 
   /**
-   * Get file SHA if it exists (for updates)
+   * Build the commit message for generated files, with a co-author trailer
+   * crediting the author of the source PR
    */
-  async getFileSHA(owner, repo, path, branch) {
-    try {
-      const response = await this.octokit.repos.getContent({
+  buildCommitMessage(prData, apiResponse, changedPaths, deletedPaths) {
+    const lines = [
+      `Add generated tests for PR #${prData.number}`,
+      "",
+      `Generated by Covlant analysis${apiResponse.analysisId ? ` ${apiResponse.analysisId}` : ""} for "${prData.title}".`,
+      "",
+      ...changedPaths.map((path) => `- ${path}`),
+      ...deletedPaths.map((path) => `- ${path} (deleted)`),
+    ];
+
+    lines.push("", `${COMMIT_TRAILER}: #${prData.number}`);
+    if (prData.author) {
+      const email = prData.authorId
+        ? `${prData.authorId}+${prData.author}@users.noreply.github.com`
+        : `${prData.author}@users.noreply.github.com`;
+      lines.push(`Co-authored-by: ${prData.author} <${email}>`);
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Build one tree entry per generated file. Text is inlined in the tree; binary
+   * content (encoding: "base64") and large files are uploaded as blobs first.
+   */
+  async buildTreeEntries(owner, repo, files) {
+    const entries = [];
+
+    for (const fileData of files) {
+      const mode = fileData.executable ? "100755" : "100644";
+
+      if (fileData.delete) {
+        entries.push({ path: fileData.path, mode, type: "blob", sha: null });
+        continue;
+      }
+
+      const isBinary = fileData.encoding === "base64";
+      const size = isBinary
+        ? Buffer.from(fileData.content, "base64").length
+        : Buffer.byteLength(fileData.content, "utf8");
+
+      if (!isBinary && size <= INLINE_CONTENT_LIMIT) {
+        entries.push({ path: fileData.path, mode, type: "blob", content: fileData.content });
+        continue;
+      }
+
+      const blob = await this.octokit.git.createBlob({
         owner,
         repo,
-        path,
-        ref: branch
+        content: isBinary ? fileData.content : Buffer.from(fileData.content).toString("base64"),
+        encoding: "base64",
       });
-      return response.data.sha;
-    } catch (error) {
-      if (error.status === 404) {
-        return null; 
-      }
-      throw error;
+      entries.push({ path: fileData.path, mode, type: "blob", sha: blob.data.sha });
     }
+
+    return entries;
   }
 
   /**
-   * Create files remotely via GitHub API using API response
+   * Commit all files from the API response to the branch in a single commit
+   * (Git Data API: blobs -> tree on top of the base tree -> commit -> ref update)
    */
   async createFilesFromAPIResponse(
     owner,
     repo,
     branchName,
     apiResponse,
-    prData
+    prData,
+    parentSha = null
   ) {
-    const createdFiles = [];
+    let files = apiResponse.filesToCreate;
+    this.logger.debug({ files: files.length, branch: branchName }, "Committing generated files");
 
-    console.log(`Processing ${apiResponse.filesToCreate.length} files from API response...`);
+    try {
+      if (!parentSha) {
+        const ref = await this.octokit.git.getRef({ owner, repo, ref: `heads/${branchName}` });
+        parentSha = ref.data.object.sha;
+      }
 
-    for (const fileData of apiResponse.filesToCreate) {
-      try {
-        const requestData = {
-          owner,
-          repo,
-          path: fileData.path,
-          content: Buffer.from(fileData.content).toString("base64"),
-          branch: branchName,
-        };
+      const parentCommit = await this.octokit.git.getCommit({
+        owner,
+        repo,
+        commit_sha: parentSha,
+      });
 
-        // Handle file existence based on API response
-        if (fileData.fileExists) {
-          // File exists - need SHA for update
-          const sha = await this.getFileSHA(owner, repo, fileData.path, branchName);
-          if (sha) {
-            requestData.sha = sha;
-            requestData.message = `Update ${fileData.type} file for PR #${prData.number} analysis`;
-            console.log(`File ${fileData.path} exists - updating...`);
-          } else {
-            // API says file exists but we couldn't get SHA - treat as create
-            requestData.message = `Add ${fileData.type} file for PR #${prData.number} analysis`;
-            console.log(`File ${fileData.path} marked as existing but not found - creating...`);
-          }
-        } else {
-          // File doesn't exist - create new
-          requestData.message = `Add ${fileData.type} file for PR #${prData.number} analysis`;
-          console.log(`File ${fileData.path} doesn't exist - creating...`);
+      // A deletion entry for a path the base tree lacks fails the whole tree with a 422
+      if (files.some((f) => f.delete)) {
+        const exists = this.existsAt(owner, repo, parentCommit.data.tree.sha);
+        const present = await Promise.all(files.map((f) => !f.delete || exists(f.path)));
+        const missing = files.filter((f, i) => !present[i]).map((f) => f.path);
+        if (missing.length > 0) {
+          this.logger.info({ paths: missing }, "Skipping deletion of files missing from the branch");
+          files = files.filter((f, i) => present[i]);
         }
+      }
 
-        // Create or update file using GitHub API
-        await this.octokit.repos.createOrUpdateFileContents(requestData);
+      const tree = await this.octokit.git.createTree({
+        owner,
+        repo,
+        base_tree: parentCommit.data.tree.sha,
+        tree: await this.buildTreeEntries(owner, repo, files),
+      });
 
-        createdFiles.push(fileData.path);
+      const changedPaths = files.filter((f) => !f.delete).map((f) => f.path);
+      const deletedPaths = files.filter((f) => f.delete).map((f) => f.path);
 
-        const action = fileData.fileExists ? 'Updated' : 'Created';
-        console.log(`${action} file: ${fileData.path}`);
-      } catch (error) {
-        console.error(`Error processing file ${fileData.path}:`, error.message);
-        throw error;
+      const commit = await this.octokit.git.createCommit({
+        owner,
+        repo,
+        message: this.buildCommitMessage(prData, apiResponse, changedPaths, deletedPaths),
+        tree: tree.data.sha,
+        parents: [parentSha],
+      });
+
+      // Fast-forward only: the branch moves in one step or not at all
+      await this.octokit.git.updateRef({
+        owner,
+        repo,
+        ref: `heads/${branchName}`,
+        sha: commit.data.sha,
+        force: false,
+      });
+
+      this.logger.info({
+        branch: branchName,
+        commitSha: commit.data.sha,
+        files: changedPaths.length,
+        deleted: deletedPaths.length
+      }, "Committed generated files");
+      return {
+        commitSha: commit.data.sha,
+        files: changedPaths,
+        deletedFiles: deletedPaths,
+      };
+    } catch (error) {
+      this.logger.error({ branch: branchName, error: error.message, status: error.status }, "Failed to commit generated files");
+      throw error;
+    }
+  }
+
+  /**
+   * Bring the stable analysis branch up to date with the source PR's head before
+   * committing. Commits made by a human on the branch are never overwritten: the
+   * head is merged in instead of resetting the branch.
+   * @returns {Promise<{ parentSha: string, action: string }>} action is one of
+   *   created, up_to_date, fast_forward, reset or merged
+   */
+  async prepareAnalysisBranch(owner, repo, branchName, prData) {
+    let branchSha;
+    try {
+      const ref = await this.octokit.git.getRef({ owner, repo, ref: `heads/${branchName}` });
+      branchSha = ref.data.object.sha;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      // Start from the analysed commit rather than the head branch by name: a fork's branch
+      // is not in this repository, and a branch here may have moved on since the analysis
+      const { baseSha } = await this.createRemoteBranch(prData.url, prData.headSha, branchName);
+      return { parentSha: baseSha, action: "created" };
+    }
+
+    const headSha = prData.headSha;
+    const { data: comparison } = await this.octokit.repos.compareCommits({
+      owner,
+      repo,
+      base: headSha,
+      head: branchSha,
+    });
+
+    // The branch already contains the head
+    if (comparison.status === "ahead" || comparison.status === "identical") {
+      return { parentSha: branchSha, action: "up_to_date" };
+    }
+
+    if (comparison.status === "behind") {
+      await this.octokit.git.updateRef({ owner, repo, ref: `heads/${branchName}`, sha: headSha, force: false });
+      return { parentSha: headSha, action: "fast_forward" };
+    }
+
+    // Diverged. Commits older than our first commit are source history from an
+    // earlier head; anything else without our trailer was pushed by a human.
+    const firstOwn = comparison.commits.findIndex((c) => this.isOwnCommit(c.commit.message));
+    const humanCommits = firstOwn === -1
+      ? []
+      : comparison.commits.slice(firstOwn).filter((c) => !this.isOwnCommit(c.commit.message));
+
+    if (humanCommits.length === 0) {
+      // Re-check right before the forced update so a push that just landed is not lost
+      const latest = await this.octokit.git.getRef({ owner, repo, ref: `heads/${branchName}` });
+      if (latest.data.object.sha === branchSha) {
+        await this.octokit.git.updateRef({ owner, repo, ref: `heads/${branchName}`, sha: headSha, force: true });
+        return { parentSha: headSha, action: "reset" };
       }
     }
 
-    console.log(`🎉 Successfully processed ${createdFiles.length} files remotely`);
-    return createdFiles;
+    try {
+      const merge = await this.octokit.repos.merge({
+        owner,
+        repo,
+        base: branchName,
+        head: headSha,
+        commit_message: `Merge ${headSha.substring(0, 7)} from PR #${prData.number} into ${branchName}\n\n${COMMIT_TRAILER}: #${prData.number}`,
+      });
+      return { parentSha: merge.data?.sha || branchSha, action: "merged" };
+    } catch (error) {
+      if (error.status === 409) {
+        throw new Error(
+          `${branchName} has commits that conflict with the head of PR #${prData.number}; resolve the conflict or delete the branch and re-run`
+        );
+      }
+      throw error;
+    }
+  }
+
+  isOwnCommit(message = "") {
+    return message.includes(`\n${COMMIT_TRAILER}: #`);
+  }
+
+  /**
+   * Changelog rows kept in an analysis PR body
+   */
+  parseChangelog(body = "") {
+    const start = body.indexOf(CHANGELOG_START);
+    const end = body.indexOf(CHANGELOG_END);
+    if (start === -1 || end === -1) return [];
+    return body
+      .slice(start + CHANGELOG_START.length, end)
+      .split("\n")
+      .filter((line) => line.startsWith("| ") && !line.startsWith("| Run") && !line.startsWith("|--"));
+  }
+
+  buildPullRequestTitle(prData) {
+    return `Auto-generated Covlant-app analysis for PR #${prData.number}: ${prData.title}`;
+  }
+
+  buildPullRequestBody(branchName, baseBranch, prData, isDraft, changelog = []) {
+    return `## Automated PR Analysis ${isDraft ? "(Draft)" : ""}
+
+This PR was automatically generated in response to PR #${prData.number}. Re-running the analysis adds new commits to this PR; commits pushed to \`${branchName}\` by hand are kept.
+
+### Original PR Details
+- **Base Branch**: ${baseBranch}
+- **Head Branch**: ${branchName}
+
+### Runs
+${CHANGELOG_START}
+| Run | Head | Analysis | Files | Branch |
+|-----|------|----------|-------|--------|
+${changelog.join("\n")}
+${CHANGELOG_END}
+
+---
+*Auto-generated by fastify-github-webhook at ${new Date().toISOString()}*`;
+  }
+
+  buildChangelogRow(changelog, prData, apiResponse, commit, branchAction) {
+    return `| ${changelog.length + 1} | \`${prData.headSha.substring(0, 7)}\` | ${apiResponse.analysisId || "-"} | ${commit.files.length + commit.deletedFiles.length} | ${branchAction} (${commit.commitSha.substring(0, 7)}) |`;
+  }
+
+  async findOpenPullRequest(owner, repo, branchName) {
+    const { data } = await this.octokit.pulls.list({
+      owner,
+      repo,
+      state: "open",
+      head: `${owner}:${branchName}`,
+    });
+    return data[0] || null;
+  }
+
+  /**
+   * Refresh the title and changelog of an existing analysis PR and comment on it
+   */
+  async updateAnalysisPullRequest(owner, repo, pullRequest, prData, changelogRow, summary) {
+    const changelog = [...this.parseChangelog(pullRequest.body), changelogRow];
+    const { data } = await this.octokit.pulls.update({
+      owner,
+      repo,
+      pull_number: pullRequest.number,
+      title: this.buildPullRequestTitle(prData),
+      body: this.buildPullRequestBody(pullRequest.head.ref, pullRequest.base.ref, prData, pullRequest.draft, changelog),
+    });
+    await this.octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number: pullRequest.number,
+      body: `${summary}\n\n---\n*🤖 Automated by Covlant App*`,
+    });
+    this.logger.info({ analysisPrNumber: pullRequest.number, url: pullRequest.html_url }, "Updated analysis PR");
+    return data;
   }
 
   /**
@@ -182,19 +517,11 @@ class GitService {
     newBranchName,
     baseBranch,
     prData,
-    isDraft = true
+    isDraft = true,
+    changelog = []
   ) {
-    const title = `Auto-generated Covlant-app analysis for PR #${prData.number}: ${prData.title}`;
-    const body = `## Automated PR Analysis ${isDraft ? "(Draft)" : ""}
-
-This PR was automatically generated in response to PR #${prData.number}.
-
-### Original PR Details
-- **Base Branch**: ${baseBranch}
-- **Head Branch**: ${newBranchName}
-
----
-*Auto-generated by fastify-github-webhook at ${new Date().toISOString()}*`;
+    const title = this.buildPullRequestTitle(prData);
+    const body = this.buildPullRequestBody(newBranchName, baseBranch, prData, isDraft, changelog);
 
     try {
       const response = await this.octokit.pulls.create({
@@ -208,42 +535,95 @@ This PR was automatically generated in response to PR #${prData.number}.
       });
 
       const status = isDraft ? "draft PR" : "PR";
-      console.log(
-        `Created ${status} #${response.data.number}: ${response.data.html_url}`
+      this.logger.info(
+        { analysisPrNumber: response.data.number, url: response.data.html_url },
+        `Created ${status}`
       );
       return response.data;
     } catch (error) {
-      console.error("Error creating PR:", error.message);
+      this.logger.error({ error: error.message, status: error.status }, "Failed to create analysis PR");
       throw error;
     }
   }
 
+  /**
+   * Request reviewers and add labels on the analysis PR. These are best effort:
+   * a reviewer without access to the repository must not fail the run.
+   */
+  async applyPullRequestMetadata(owner, repo, pullNumber, { reviewers = [], teamReviewers = [], labels = [] } = {}) {
+    if (reviewers.length || teamReviewers.length) {
+      try {
+        await this.octokit.pulls.requestReviewers({
+          owner,
+          repo,
+          pull_number: pullNumber,
+          reviewers,
+          team_reviewers: teamReviewers,
+        });
+      } catch (error) {
+        this.logger.warn({ analysisPrNumber: pullNumber, error: error.message }, "Failed to request reviewers");
+      }
+    }
+
+    if (labels.length) {
+      try {
+        await this.octokit.issues.addLabels({
+          owner,
+          repo,
+          issue_number: pullNumber,
+          labels,
+        });
+      } catch (error) {
+        this.logger.warn({ analysisPrNumber: pullNumber, error: error.message }, "Failed to add labels");
+      }
+    }
+  }
+
   /**
    * Main workflow: Process PR and create analysis PR remotely
+   * @param {Object} config - Effective repository config (see repo-config.js)
+   * @param {Object} options
+   * @param {Function} options.onProgress - Progress callback for the analysis API call
+   * @param {Object} options.apiResponse - Result already received (analysis callback); skips the API call
    */
-  async processPRAndCreateAnalysis(prData, fileChanges) {
+  async processPRAndCreateAnalysis(prData, fileChanges, config = DEFAULT_CONFIG, { onProgress, apiResponse: received } = {}) {
     try {
-      console.log("=== Starting Remote PR Analysis Workflow ===");
+      this.logger.info("Starting analysis PR workflow");
 
       // Safety check: Ensure we don't process our own PRs
-      if (prData.headBranch.startsWith("auto-analysis-pr-")) {
+      if (prData.headBranch.startsWith(ANALYSIS_BRANCH_PREFIX)) {
         throw new Error(
           "Attempted to process auto-generated PR - this should have been caught earlier!"
         );
       }
 
       // Step 1: Call analysis API first to get file paths and content
-      console.log("Step 1: Calling analysis API...");
-      const apiResponse = await this.callAnalysisAPI(fileChanges);
+      this.logger.debug(received ? "Step 1: using the analysis result already received" : "Step 1: calling analysis API");
+      const apiResponse = received || await this.callAnalysisAPI(fileChanges, {
+        testDirectories: config.testDirectories,
+        onProgress,
+      });
+
+      // Step 2: Keep only files the write policy allows, then check if any are left
+      const { owner, repo } = this.parseGitHubUrl(prData.url);
+      const { accepted, rejected } = await applyWritePolicy(apiResponse.filesToCreate || [], {
+        policy: config.writePolicy,
+        testDirectories: config.testDirectories,
+        exists: this.existsAt(owner, repo, prData.headSha),
+      });
+      if (rejected.length > 0) {
+        this.logger.warn({ rejected }, "Write policy rejected generated files");
+      }
 
-      // Step 2: Check if API returned any files to create
-      if (!apiResponse.filesToCreate || apiResponse.filesToCreate.length === 0) {
-        console.log("No files to create from API response - skipping branch/PR creation");
+      if (accepted.length === 0) {
+        this.logger.info("No files to create - skipping branch and PR creation");
         return {
           success: true,
           skipped: true,
           reason: "No files to create",
           analysisId: apiResponse.analysisId,
+          annotations: apiResponse.annotations || [],
+          rejectedFiles: rejected,
           apiResponse: {
             timestamp: apiResponse.timestamp,
             filesCount: 0
@@ -251,42 +631,52 @@ This PR was automatically generated in response to PR #${prData.number}.
         };
       }
 
-      console.log(`API returned ${apiResponse.filesToCreate.length} files to create`);
-
-      // Step 3: Generate unique branch name with clear auto-generated marker
-      const timestamp = Date.now();
-      const newBranchName = `auto-analysis-pr-${prData.number}-${timestamp}`;
+      this.logger.debug({ files: accepted.length }, "Files to create");
 
-      // Step 4: Create remote branch (based on the PR's head branch)
-      console.log("Step 2: Creating remote branch...");
-      const { owner, repo } = await this.createRemoteBranch(
-        prData.url,
-        prData.headBranch, // Use the PR's head branch as base
-        newBranchName
-      );
+      // Step 3: One stable branch per source PR, clearly marked as auto-generated
+      const newBranchName = `${ANALYSIS_BRANCH_PREFIX}${prData.number}`;
 
-      // Step 5: Create files remotely using API response
-      console.log("Step 3: Creating files...");
-      const createdFiles = await this.createFilesFromAPIResponse(
-        owner,
-        repo,
-        newBranchName,
-        apiResponse,
-        prData
-      );
+      // Step 4: Create the branch from the PR's head, or bring the existing one up to date
+      this.logger.debug("Step 2: preparing analysis branch");
+      const branch = await this.prepareAnalysisBranch(owner, repo, newBranchName, prData);
+      this.logger.info({ branch: newBranchName, action: branch.action }, "Analysis branch prepared");
 
-      // Step 6: Create draft PR (on top of the original PR)
-      console.log("Step 4: Creating draft PR...");
-      const newPR = await this.createPullRequest(
+      // Step 5: Commit all files in one commit using API response
+      this.logger.debug("Step 3: committing files");
+      const commit = await this.createFilesFromAPIResponse(
         owner,
         repo,
         newBranchName,
-        prData.headBranch, // Base it on the original PR's head branch
+        { ...apiResponse, filesToCreate: accepted },
         prData,
-        true // Create as draft
+        branch.parentSha
       );
 
-      console.log("=== Remote PR Analysis Workflow Completed ===");
+      // Step 6: Update the open analysis PR, or create one (on top of the original PR),
+      // draft unless configured otherwise
+      const existingPR = await this.findOpenPullRequest(owner, repo, newBranchName);
+      let newPR;
+      if (existingPR) {
+        this.logger.debug({ analysisPrNumber: existingPR.number }, "Step 4: updating analysis PR");
+        const changelogRow = this.buildChangelogRow(
+          this.parseChangelog(existingPR.body), prData, apiResponse, commit, branch.action);
+        newPR = await this.updateAnalysisPullRequest(owner, repo, existingPR, prData, changelogRow,
+          `🔄 Re-analysed #${prData.number} at \`${prData.headSha.substring(0, 7)}\`: ${commit.files.length} files updated, ${commit.deletedFiles.length} deleted in ${commit.commitSha.substring(0, 7)} (branch ${branch.action.replace("_", " ")}).`);
+      } else {
+        this.logger.debug("Step 4: creating analysis PR");
+        newPR = await this.createPullRequest(
+          owner,
+          repo,
+          newBranchName,
+          prData.headBranch, // Base it on the original PR's head branch
+          prData,
+          config.analysisPR.draft,
+          [this.buildChangelogRow([], prData, apiResponse, commit, branch.action)]
+        );
+        await this.applyPullRequestMetadata(owner, repo, newPR.number, config.analysisPR);
+      }
+
+      this.logger.info("Analysis PR workflow completed");
       return {
         success: true,
         newPR: {
@@ -294,17 +684,23 @@ This PR was automatically generated in response to PR #${prData.number}.
           url: newPR.html_url,
           branch: newBranchName,
           isDraft: newPR.draft,
+          updated: Boolean(existingPR),
         },
-        createdFiles,
+        branchAction: branch.action,
+        createdFiles: commit.files,
+        deletedFiles: commit.deletedFiles,
+        commitSha: commit.commitSha,
         analysisId: apiResponse.analysisId,
+        annotations: apiResponse.annotations || [],
+        rejectedFiles: rejected,
         apiResponse: {
           timestamp: apiResponse.timestamp,
-          filesCount: apiResponse.filesToCreate.length,
-          filePaths: apiResponse.filesToCreate.map(f => f.path)
+          filesCount: accepted.length,
+          filePaths: accepted.map(f => f.path)
         }
       };
     } catch (error) {
-      console.error("Error in remote PR analysis workflow:", error.message);
+      this.logger.error({ error: error.message }, "Analysis PR workflow failed");
       throw error;
     }
   }
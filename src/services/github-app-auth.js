@@ -0,0 +1,194 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { Octokit } from "@octokit/rest";
+import { getLogger } from "./logger.js";
+
+// Refresh installation tokens this long before GitHub expires them
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+const base64url = (input) =>
+  Buffer.from(input)
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+
+class GitHubAppAuth {
+  /**
+   * @param {Object} options
+   * @param {string} options.appId - GitHub App ID
+   * @param {string} options.privateKey - GitHub App private key (PEM)
+   * @param {string} options.token - Personal access token fallback for local development
+   */
+  constructor({ appId, privateKey, token } = {}) {
+    this.appId = appId;
+    this.privateKey = privateKey;
+    this.token = token;
+    this.tokenCache = new Map(); // installationId -> { token, expiresAt }
+    this.pendingTokens = new Map(); // installationId -> Promise<string>
+    this.octokitCache = new Map(); // installationId -> Octokit
+    this.patOctokit = null;
+    this.clientHooks = [];
+  }
+
+  static fromEnv(env = process.env) {
+    let privateKey = env.GITHUB_APP_PRIVATE_KEY?.replace(/\\n/g, "\n");
+    if (!privateKey && env.GITHUB_APP_PRIVATE_KEY_PATH) {
+      privateKey = fs.readFileSync(env.GITHUB_APP_PRIVATE_KEY_PATH, "utf8");
+    }
+
+    return new GitHubAppAuth({
+      appId: env.GITHUB_APP_ID,
+      privateKey,
+      token: env.GITHUB_TOKEN,
+    });
+  }
+
+  isAppConfigured() {
+    return Boolean(this.appId && this.privateKey);
+  }
+
+  isConfigured() {
+    return this.isAppConfigured() || Boolean(this.token);
+  }
+
+  /**
+   * Sign a short-lived JWT that authenticates as the app itself
+   */
+  createAppJWT() {
+    if (!this.isAppConfigured()) {
+      throw new Error("GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY are required");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: "RS256", typ: "JWT" };
+    const payload = {
+      iat: now - 60, // Allow for clock drift
+      exp: now + 9 * 60, // GitHub caps app JWTs at 10 minutes
+      iss: String(this.appId),
+    };
+
+    const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto
+      .createSign("RSA-SHA256")
+      .update(unsigned)
+      .sign(this.privateKey);
+
+    return `${unsigned}.${base64url(signature)}`;
+  }
+
+  /**
+   * Call `hook(octokit, { installationId, app })` for every client this hands out,
+   * including those created before, e.g. to instrument their requests
+   */
+  onClient(hook) {
+    this.clientHooks.push(hook);
+    if (this.patOctokit) {
+      hook(this.patOctokit, { installationId: null, app: false });
+    }
+    for (const [installationId, octokit] of this.octokitCache) {
+      hook(octokit, { installationId, app: false });
+    }
+  }
+
+  setUpClient(octokit, { installationId = null, app = false } = {}) {
+    for (const hook of this.clientHooks) {
+      hook(octokit, { installationId, app });
+    }
+    return octokit;
+  }
+
+  /**
+   * Octokit authenticated as the app (for /app endpoints)
+   */
+  getAppOctokit() {
+    const octokit = new Octokit();
+    octokit.hook.before("request", (options) => {
+      options.headers.authorization = `bearer ${this.createAppJWT()}`;
+    });
+    return this.setUpClient(octokit, { app: true });
+  }
+
+  /**
+   * Get a cached installation access token, exchanging a new one when close to expiry
+   */
+  async getInstallationToken(installationId) {
+    const cached = this.tokenCache.get(installationId);
+    if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+      return cached.token;
+    }
+
+    // Share one exchange between concurrent callers
+    if (this.pendingTokens.has(installationId)) {
+      return this.pendingTokens.get(installationId);
+    }
+
+    const pending = (async () => {
+      try {
+        getLogger().debug({ installationId }, "Requesting installation access token");
+        const response = await this.getAppOctokit().apps.createInstallationAccessToken({
+          installation_id: installationId,
+        });
+        this.tokenCache.set(installationId, {
+          token: response.data.token,
+          expiresAt: new Date(response.data.expires_at).getTime(),
+        });
+        return response.data.token;
+      } finally {
+        this.pendingTokens.delete(installationId);
+      }
+    })();
+
+    this.pendingTokens.set(installationId, pending);
+    return pending;
+  }
+
+  /**
+   * Installations a client has been created for in this process
+   */
+  activeInstallationIds() {
+    return [...this.octokitCache.keys()];
+  }
+
+  /**
+   * Get the Octokit client to use for a webhook's installation
+   * @param {number} installationId - `installation.id` from the webhook payload
+   */
+  getInstallationOctokit(installationId) {
+    if (!this.isAppConfigured()) {
+      if (!this.token) {
+        throw new Error("GitHub credentials not configured");
+      }
+      // Personal access token mode: one client for every repository
+      if (!this.patOctokit) {
+        this.patOctokit = this.setUpClient(new Octokit({ auth: this.token }));
+      }
+      return this.patOctokit;
+    }
+
+    if (!installationId) {
+      throw new Error("Webhook payload has no installation ID");
+    }
+
+    if (!this.octokitCache.has(installationId)) {
+      const octokit = new Octokit();
+      octokit.hook.before("request", async (options) => {
+        const token = await this.getInstallationToken(installationId);
+        options.headers.authorization = `token ${token}`;
+      });
+      this.octokitCache.set(installationId, this.setUpClient(octokit, { installationId }));
+    }
+
+    return this.octokitCache.get(installationId);
+  }
+
+  /**
+   * Forget cached credentials (e.g. after the app is uninstalled)
+   */
+  invalidateInstallation(installationId) {
+    this.tokenCache.delete(installationId);
+    this.octokitCache.delete(installationId);
+  }
+}
+
+export default GitHubAppAuth;
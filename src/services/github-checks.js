@@ -0,0 +1,278 @@
+import { getLogger } from "./logger.js";
+
+// GitHub accepts at most 50 annotations per check run request
+const MAX_ANNOTATIONS_PER_REQUEST = 50;
+
+// GitHub rejects a check run whose output summary or text is longer than this
+const MAX_OUTPUT_LENGTH = 65535;
+const TRUNCATED_NOTE = "\n\n_Truncated: the rest does not fit in a check run. See the PR for the full result._";
+
+// Cut an output field down to what GitHub accepts at a line break, saying so at the end
+const limitOutputField = (value) => {
+  if (typeof value !== "string" || value.length <= MAX_OUTPUT_LENGTH) {
+    return value;
+  }
+  const room = MAX_OUTPUT_LENGTH - TRUNCATED_NOTE.length;
+  const lineEnd = value.lastIndexOf("\n", room);
+  return value.slice(0, lineEnd > 0 ? lineEnd : room) + TRUNCATED_NOTE;
+};
+
+const limitOutput = (output) => ({
+  ...output,
+  summary: limitOutputField(output.summary),
+  ...(output.text !== undefined ? { text: limitOutputField(output.text) } : {}),
+});
+
+export const CHECK_ACTIONS = [
+  {
+    label: "Generate tests as PR",
+    description: "Open the generated tests as a new PR",
+    identifier: "create_pr",
+  },
+  {
+    label: "Post as comments",
+    description: "Post the generated tests on this PR",
+    identifier: "add_comments",
+  },
+];
+
+// The actions to offer: only modes the repository config enables (all when unknown)
+const actionsFor = (modes) =>
+  modes ? CHECK_ACTIONS.filter((action) => modes.includes(action.identifier)) : CHECK_ACTIONS;
+
+class GitHubChecksService {
+  /**
+   * @param {import("@octokit/rest").Octokit} octokit - Client for the webhook's installation
+   * @param {Object} options
+   * @param {import("pino").Logger} options.logger
+   */
+  constructor(octokit, { logger } = {}) {
+    this.octokit = octokit;
+    this.logger = logger || getLogger();
+    this.checkName = "covlant";
+  }
+
+  parseGitHubUrl(url) {
+    // From: https://github.com/owner/repo/pull/123
+    const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
+    if (!match) throw new Error("Invalid GitHub URL");
+    return { owner: match[1], repo: match[2] };
+  }
+
+  /**
+   * Find our check run on a commit, creating it if it does not exist yet
+   */
+  async findOrCreateCheckRun(owner, repo, sha, fields = {}) {
+    const existing = await this.octokit.checks.listForRef({
+      owner,
+      repo,
+      ref: sha,
+      check_name: this.checkName,
+      filter: "latest",
+    });
+    const checkRun = existing.data.check_runs?.[0];
+
+    // A completed run is left as history; later stages start a fresh one
+    if (checkRun && checkRun.status !== "completed") {
+      return checkRun;
+    }
+
+    const response = await this.octokit.checks.create({
+      owner,
+      repo,
+      name: this.checkName,
+      head_sha: sha,
+      ...fields,
+      ...(fields.output ? { output: limitOutput(fields.output) } : {}),
+    });
+    return response.data;
+  }
+
+  async updateCheckRun(owner, repo, checkRunId, fields) {
+    const { annotations = [], ...rest } = fields;
+    const output = rest.output ? limitOutput(rest.output) : null;
+
+    // Send the first batch of annotations with the update, the rest in follow-up requests
+    const batches = [];
+    for (let i = 0; i < annotations.length; i += MAX_ANNOTATIONS_PER_REQUEST) {
+      batches.push(annotations.slice(i, i + MAX_ANNOTATIONS_PER_REQUEST));
+    }
+
+    const response = await this.octokit.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      ...rest,
+      ...(output ? { output: { ...output, annotations: batches[0] || [] } } : {}),
+    });
+
+    for (const batch of batches.slice(1)) {
+      await this.octokit.checks.update({
+        owner,
+        repo,
+        check_run_id: checkRunId,
+        output: { title: output.title, summary: output.summary, annotations: batch },
+      });
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Publish a finished check run that offers the analysis actions (used when a PR is opened or updated)
+   * @param {Object} options
+   * @param {string[]} options.modes - Analysis modes enabled for the repository
+   */
+  async offerActions(repoUrl, sha, prNumber, { modes } = {}) {
+    try {
+      const { owner, repo } = this.parseGitHubUrl(repoUrl);
+      const response = await this.octokit.checks.create({
+        owner,
+        repo,
+        name: this.checkName,
+        head_sha: sha,
+        status: "completed",
+        conclusion: "neutral",
+        output: {
+          title: "Choose an analysis option",
+          summary: `Covlant can generate unit tests for the changes in PR #${prNumber}. Pick an option above to start.`,
+        },
+        actions: actionsFor(modes),
+      });
+      this.logger.info({ sha: sha.substring(0, 7), checkRunId: response.data.id }, "Check run offered actions");
+      return response.data;
+    } catch (error) {
+      this.logger.error({ error: error.message, status: error.status }, "Failed to create check run");
+      throw error;
+    }
+  }
+
+  /**
+   * Mark the check queued
+   * @param {Object} options
+   * @param {Object} options.pause - { until, reason } while the installation's jobs are paused
+   */
+  async setQueued(repoUrl, sha, prNumber, { pause = null } = {}) {
+    const { owner, repo } = this.parseGitHubUrl(repoUrl);
+    return this.findOrCreateCheckRun(owner, repo, sha, {
+      status: "queued",
+      output: {
+        title: pause ? "Analysis queued (paused)" : "Analysis queued",
+        summary: pause
+          ? `Analysis of PR #${prNumber} is queued. Jobs for this installation are paused until ${pause.until}: ${pause.reason}`
+          : `Analysis of PR #${prNumber} is waiting for a worker.`,
+      },
+    });
+  }
+
+  async setProcessing(repoUrl, sha, prNumber) {
+    try {
+      const { owner, repo } = this.parseGitHubUrl(repoUrl);
+      const checkRun = await this.findOrCreateCheckRun(owner, repo, sha);
+      const updated = await this.updateCheckRun(owner, repo, checkRun.id, {
+        status: "in_progress",
+        started_at: new Date().toISOString(),
+        output: {
+          title: "Generating tests",
+          summary: `covlant-app is analyzing PR #${prNumber}.`,
+        },
+      });
+      this.logger.info({ checkRunId: checkRun.id }, "Check run in progress");
+      return updated;
+    } catch (error) {
+      this.logger.error({ error: error.message, status: error.status }, "Failed to update check run");
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} details
+   * @param {string} details.mode - create_pr or add_comments
+   * @param {string[]} details.generatedFiles - Paths of the generated tests
+   * @param {Object[]} details.annotations - Findings on changed lines from the analysis API
+   * @param {Object[]} details.rejectedFiles - Generated files the write policy refused ({ path, reason })
+   * @param {string[]} details.modes - Analysis modes enabled for the repository
+   */
+  async setComplete(repoUrl, sha, prNumber, analysisPRUrl, details = {}) {
+    const { generatedFiles = [], annotations = [], rejectedFiles = [], mode, modes } = details;
+    const filesList = generatedFiles.length
+      ? generatedFiles.map((path) => `- \`${path}\``).join("\n")
+      : "_No test files were generated._";
+    const result = analysisPRUrl
+      ? `Generated tests are in [the analysis PR](${analysisPRUrl}).`
+      : mode === "add_comments"
+        ? "Generated tests were posted as a review on the PR."
+        : "";
+    const rejectedList = rejectedFiles.length
+      ? `\n\n### Not committed (write policy)\n\n${rejectedFiles.map((f) => `- \`${f.path}\` - ${f.reason}`).join("\n")}`
+      : "";
+
+    return this.complete(repoUrl, sha, {
+      conclusion: "success",
+      details_url: analysisPRUrl || undefined,
+      output: {
+        title: `${generatedFiles.length} test files generated`,
+        summary: `## Covlant analysis for PR #${prNumber}\n\n${result}\n\n### Generated tests\n\n${filesList}${rejectedList}`,
+      },
+      annotations: annotations.filter(hasLine).map(toCheckAnnotation),
+      actions: actionsFor(modes),
+    });
+  }
+
+  async setSkipped(repoUrl, sha, prNumber, reason, { modes } = {}) {
+    return this.complete(repoUrl, sha, {
+      conclusion: "skipped",
+      output: {
+        title: "Analysis skipped",
+        summary: `covlant-app skipped PR #${prNumber}: ${reason}`,
+      },
+      actions: actionsFor(modes),
+    });
+  }
+
+  async setError(repoUrl, sha, prNumber, error, { modes } = {}) {
+    return this.complete(repoUrl, sha, {
+      conclusion: "failure",
+      output: {
+        title: "Analysis failed",
+        summary: `covlant-app failed to analyze PR #${prNumber}.\n\n\`\`\`\n${error}\n\`\`\``,
+      },
+      actions: actionsFor(modes),
+    });
+  }
+
+  async complete(repoUrl, sha, fields) {
+    try {
+      const { owner, repo } = this.parseGitHubUrl(repoUrl);
+      const checkRun = await this.findOrCreateCheckRun(owner, repo, sha);
+      const updated = await this.updateCheckRun(owner, repo, checkRun.id, {
+        status: "completed",
+        completed_at: new Date().toISOString(),
+        ...fields,
+      });
+      this.logger.info({ checkRunId: checkRun.id, conclusion: fields.conclusion }, "Check run completed");
+      return updated;
+    } catch (error) {
+      this.logger.error({ error: error.message, status: error.status, details: error.response?.data?.errors },
+        "Failed to complete check run");
+      throw error;
+    }
+  }
+}
+
+// GitHub refuses the whole update (422) if any annotation lacks a line
+const hasLine = (annotation) => Number.isInteger(annotation.start_line ?? annotation.line)
+  && (annotation.start_line ?? annotation.line) > 0;
+
+const toCheckAnnotation = (annotation) => ({
+  path: annotation.path,
+  start_line: annotation.start_line ?? annotation.line,
+  end_line: annotation.end_line ?? annotation.start_line ?? annotation.line,
+  annotation_level: ["notice", "warning", "failure"].includes(annotation.level)
+    ? annotation.level
+    : "notice",
+  title: annotation.title,
+  message: annotation.message,
+});
+
+export default GitHubChecksService;
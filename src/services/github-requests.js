@@ -0,0 +1,299 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { getLogger } from "./logger.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+
+// GitHub asks for at least a minute's pause after a secondary rate limit without retry-after
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+
+/**
+ * Whether a request changes something on GitHub. GraphQL goes through POST for
+ * queries too, so only mutations count there.
+ */
+export const isWriteRequest = (options) => {
+  if (options.method === "GET" || options.method === "HEAD") return false;
+  if (options.url === "/graphql") return /^\s*mutation\b/.test(options.query || "");
+  return true;
+};
+
+// Rate limit bucket a request counts against
+const resourceOf = (options) => {
+  if (options.url === "/graphql") return "graphql";
+  if (options.url.startsWith("/search/")) return "search";
+  return "core";
+};
+
+/**
+ * A request refused locally because the rate limit is used up until `retryAt`
+ */
+export class GitHubRateLimitError extends Error {
+  constructor(message, { retryAt }) {
+    super(message);
+    this.name = "GitHubRateLimitError";
+    this.status = 403;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * The request layer every Octokit client goes through (see GitHubAppAuth.onClient):
+ *
+ * - writes are queued per installation and spaced `writeIntervalMs` apart, as GitHub
+ *   recommends to stay clear of secondary rate limits
+ * - requests made while answering a webhook (see `runInteractive`) skip that queue and
+ *   wait at most `interactiveMaxWaitMs` for a rate limit, as GitHub gives up on a
+ *   delivery after 10 seconds; the job's writes queue up behind them
+ * - rate-limited responses (403/429) wait for `retry-after`, `x-ratelimit-reset` or a
+ *   minute for secondary limits, then try again; GitHub did not perform the request
+ * - reads are retried with backoff on 5xx; writes are not, since they may have been applied
+ * - requests against an exhausted budget wait for the reset instead of being sent
+ * - `onBudgetLow` is called while an installation has less than `reserveRatio` of its
+ *   limit left, so job processing can pause until the reset
+ */
+class GitHubRequestLayer {
+  /**
+   * @param {Object} options
+   * @param {number} options.writeIntervalMs - Minimum gap between two writes of one installation
+   * @param {number} options.maxRetries - Retries after a rate limit or 5xx response
+   * @param {number} options.retryBaseDelayMs - First 5xx retry delay, doubled on each retry
+   * @param {number} options.maxWaitMs - Longest wait for a rate limit; longer waits fail the request
+   * @param {number} options.interactiveMaxWaitMs - The same for requests made while answering a webhook
+   * @param {number} options.reserveRatio - Share of the rate limit kept back for webhooks
+   * @param {Function} options.onBudgetLow - ({ installation, resource, remaining, limit, resetAt }) => void
+   * @param {import("pino").Logger} options.logger
+   */
+  constructor({
+    writeIntervalMs = 1000,
+    maxRetries = 3,
+    retryBaseDelayMs = 1000,
+    maxWaitMs = 2 * 60 * 1000,
+    interactiveMaxWaitMs = 5000,
+    reserveRatio = 0.05,
+    onBudgetLow = null,
+    logger,
+  } = {}) {
+    this.writeIntervalMs = writeIntervalMs;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.maxWaitMs = maxWaitMs;
+    this.interactiveMaxWaitMs = interactiveMaxWaitMs;
+    this.reserveRatio = reserveRatio;
+    this.onBudgetLow = onBudgetLow;
+    this.logger = logger || getLogger();
+    this.writeQueues = new Map(); // installation -> Promise of the last queued write
+    this.lastWriteAt = new Map(); // installation -> ms timestamp
+    this.budgets = new Map(); // "installation:resource" -> { limit, remaining, resetAt }
+    this.instrumented = new WeakSet();
+    this.interactive = new AsyncLocalStorage();
+  }
+
+  static fromEnv(options = {}, env = process.env) {
+    const int = (name) => {
+      const value = parseInt(env[name], 10);
+      return Number.isNaN(value) ? undefined : value;
+    };
+    const maxWaitSeconds = parseFloat(env.GITHUB_MAX_WAIT_SECONDS);
+    const reservePercent = parseFloat(env.GITHUB_RATE_LIMIT_RESERVE_PERCENT);
+    return new GitHubRequestLayer({
+      ...options,
+      writeIntervalMs: int("GITHUB_WRITE_INTERVAL_MS"),
+      maxRetries: int("GITHUB_MAX_RETRIES"),
+      maxWaitMs: maxWaitSeconds >= 0 ? maxWaitSeconds * 1000 : undefined,
+      reserveRatio: reservePercent >= 0 ? reservePercent / 100 : undefined,
+    });
+  }
+
+  /**
+   * Run `fn` as part of answering a request someone is waiting for (a webhook delivery,
+   * an admin call): its writes skip the write queue and rate limit waits are kept short
+   */
+  runInteractive(fn) {
+    return this.interactive.run(true, fn);
+  }
+
+  /**
+   * Run `fn` as background work (jobs), even when it was started from a webhook
+   */
+  runInBackground(fn) {
+    return this.interactive.run(false, fn);
+  }
+
+  isInteractive() {
+    return this.interactive.getStore() === true;
+  }
+
+  /**
+   * Route an Octokit client's requests through the layer (once per client)
+   */
+  instrument(octokit, { installationId = null, app = false } = {}) {
+    if (this.instrumented.has(octokit)) {
+      return octokit;
+    }
+    // Rate limits are counted per installation, for the app itself and per token
+    const installation = app ? "app" : installationId ? String(installationId) : "token";
+
+    octokit.hook.wrap("request", (request, options) => {
+      if (!isWriteRequest(options)) {
+        return this.send(installation, request, options);
+      }
+      if (this.isInteractive()) {
+        // Queued writes keep their distance from this one
+        return this.send(installation, request, options)
+          .finally(() => this.lastWriteAt.set(installation, Date.now()));
+      }
+      return this.enqueueWrite(installation, () => this.send(installation, request, options));
+    });
+    this.instrumented.add(octokit);
+    return octokit;
+  }
+
+  /**
+   * Run writes of one installation one after another, `writeIntervalMs` apart
+   */
+  enqueueWrite(installation, send) {
+    const previous = this.writeQueues.get(installation) || Promise.resolve();
+    const run = previous.then(async () => {
+      const wait = (this.lastWriteAt.get(installation) || 0) + this.writeIntervalMs - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+      try {
+        return await send();
+      } finally {
+        this.lastWriteAt.set(installation, Date.now());
+      }
+    });
+
+    const settled = run.catch(() => {});
+    this.writeQueues.set(installation, settled);
+    settled.then(() => {
+      if (this.writeQueues.get(installation) === settled) {
+        this.writeQueues.delete(installation);
+      }
+    });
+    return run;
+  }
+
+  async send(installation, request, options) {
+    const resource = resourceOf(options);
+    const write = isWriteRequest(options);
+    const maxWaitMs = this.isInteractive() ? Math.min(this.maxWaitMs, this.interactiveMaxWaitMs) : this.maxWaitMs;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForBudget(installation, resource, options, maxWaitMs);
+      try {
+        const response = await request(options);
+        this.track(installation, response.headers);
+        return response;
+      } catch (error) {
+        if (error.response) {
+          this.track(installation, error.response.headers);
+        }
+        const delay = this.retryDelay(error, attempt, write);
+        if (delay === null || attempt >= this.maxRetries) {
+          throw error;
+        }
+        if (delay > maxWaitMs) {
+          this.logger.warn({ installation, route: `${options.method} ${options.url}`, delayMs: delay, maxWaitMs },
+            "GitHub asked to wait longer than allowed, giving up");
+          throw error;
+        }
+        this.logger.warn({
+          installation,
+          route: `${options.method} ${options.url}`,
+          status: error.status,
+          delayMs: delay,
+          retry: attempt + 1,
+        }, "GitHub request failed, retrying");
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * How long to wait before trying a failed request again, or null to give up
+   */
+  retryDelay(error, attempt, write) {
+    const headers = error.response?.headers || {};
+
+    if (error.status === 403 || error.status === 429) {
+      const retryAfter = parseInt(headers["retry-after"], 10);
+      if (retryAfter >= 0) {
+        return retryAfter * 1000;
+      }
+      if (headers["x-ratelimit-remaining"] === "0") {
+        const reset = parseInt(headers["x-ratelimit-reset"], 10);
+        return reset ? Math.max(0, reset * 1000 - Date.now()) + 1000 : SECONDARY_LIMIT_WAIT_MS;
+      }
+      if (/secondary rate limit|abuse/i.test(error.message)) {
+        return SECONDARY_LIMIT_WAIT_MS * 2 ** attempt;
+      }
+      // Any other 403 is about permissions; waiting does not help
+      return null;
+    }
+
+    if (!write && RETRYABLE_STATUSES.has(error.status)) {
+      return this.retryBaseDelayMs * 2 ** attempt;
+    }
+    return null;
+  }
+
+  /**
+   * Hold a request while its budget is used up, or refuse it when the reset is too far off
+   */
+  async waitForBudget(installation, resource, options, maxWaitMs = this.maxWaitMs) {
+    const budget = this.budgets.get(`${installation}:${resource}`);
+    if (!budget || budget.remaining > 0) {
+      return;
+    }
+    const wait = budget.resetAt - Date.now();
+    if (wait <= 0) {
+      return;
+    }
+    if (wait > maxWaitMs) {
+      throw new GitHubRateLimitError(
+        `GitHub rate limit for ${installation} is used up until ${new Date(budget.resetAt).toISOString()}`,
+        { retryAt: budget.resetAt }
+      );
+    }
+    this.logger.info({ installation, resource, route: `${options.method} ${options.url}`, delayMs: wait },
+      "GitHub rate limit used up, waiting for the reset");
+    await sleep(wait + 1000);
+  }
+
+  track(installation, headers = {}) {
+    const remaining = parseInt(headers["x-ratelimit-remaining"], 10);
+    const limit = parseInt(headers["x-ratelimit-limit"], 10);
+    const reset = parseInt(headers["x-ratelimit-reset"], 10);
+    if (Number.isNaN(remaining) || Number.isNaN(limit) || Number.isNaN(reset)) {
+      return;
+    }
+    const resource = headers["x-ratelimit-resource"] || "core";
+    const budget = { limit, remaining, resetAt: reset * 1000 };
+    this.budgets.set(`${installation}:${resource}`, budget);
+
+    if (remaining < limit * this.reserveRatio && budget.resetAt > Date.now()) {
+      this.onBudgetLow?.({ installation, resource, ...budget });
+    }
+  }
+
+  /**
+   * Last known budget per installation and resource
+   */
+  status() {
+    return [...this.budgets.entries()].map(([key, budget]) => {
+      const [installation, resource] = key.split(":");
+      return {
+        installation,
+        resource,
+        limit: budget.limit,
+        remaining: budget.remaining,
+        resetAt: new Date(budget.resetAt).toISOString(),
+      };
+    });
+  }
+}
+
+export default GitHubRequestLayer;
@@ -1,10 +1,14 @@
-import { Octokit } from "@octokit/rest";
+import { getLogger } from "./logger.js";
 
 class GitHubStatusService {
-  constructor() {
-    this.octokit = new Octokit({
-      auth: process.env.GITHUB_TOKEN,
-    });
+  /**
+   * @param {import("@octokit/rest").Octokit} octokit - Client for the webhook's installation
+   * @param {Object} options
+   * @param {import("pino").Logger} options.logger
+   */
+  constructor(octokit, { logger } = {}) {
+    this.octokit = octokit;
+    this.logger = logger || getLogger();
     this.appName = "covlant-app";
   }
 
@@ -42,8 +46,7 @@ class GitHubStatusService {
         ? description.substring(0, maxDescLength - 3) + '...' 
         : description;
       
-      console.log(`Setting GitHub status: ${state} - ${truncatedDescription}`);
-      console.log(`Repository: ${owner}/${repo}, SHA: ${sha.substring(0, 7)}`);
+      this.logger.info({ state, sha: sha.substring(0, 7), description: truncatedDescription }, "Setting commit status");
       
       const statusData = {
         owner,
@@ -60,17 +63,33 @@ class GitHubStatusService {
 
       const response = await this.octokit.repos.createCommitStatus(statusData);
       
-      console.log(`✅ Status set successfully: ${context} - ${state}`);
+      this.logger.debug({ context, state }, "Commit status set");
       return response.data;
     } catch (error) {
-      console.error(`Failed to set GitHub status: ${error.message}`);
-      if (error.response?.data) {
-        console.error('GitHub API error details:', JSON.stringify(error.response.data, null, 2));
-      }
+      this.logger.error({ error: error.message, status: error.status, details: error.response?.data?.errors },
+        "Failed to set commit status");
       throw error;
     }
   }
 
+  // Commit statuses cannot carry buttons - the checkbox comment is the only entry point
+  async offerActions(repoUrl, sha, prNumber) {
+    return null;
+  }
+
+  async setQueued(repoUrl, sha, prNumber, { pause = null } = {}) {
+    // Descriptions are limited to 140 characters, so the pause reason is left out
+    return this.setStatus(
+      repoUrl,
+      sha,
+      'pending',
+      pause
+        ? `covlant-app queued analysis of PR #${prNumber}, paused until ${pause.until}`
+        : `covlant-app queued analysis of PR #${prNumber}`,
+      'covlant-sentinel-app'
+    );
+  }
+
   async setProcessing(repoUrl, sha, prNumber) {
     return this.setStatus(
       repoUrl,
@@ -0,0 +1,87 @@
+import { getLogger } from "./logger.js";
+
+class InstallationRegistry {
+  constructor() {
+    this.installations = new Map(); // installationId -> { id, account, repositories, suspended }
+  }
+
+  upsert(installation, repositories) {
+    const existing = this.installations.get(installation.id);
+    const entry = {
+      id: installation.id,
+      account: installation.account?.login,
+      repositories: existing?.repositories || new Set(),
+      suspended: Boolean(installation.suspended_at),
+    };
+    if (repositories) {
+      entry.repositories = new Set(repositories.map((r) => r.full_name));
+    }
+    this.installations.set(installation.id, entry);
+    return entry;
+  }
+
+  remove(installationId) {
+    this.installations.delete(installationId);
+  }
+
+  /**
+   * Apply an `installation` webhook event
+   */
+  handleInstallationEvent(action, installation, repositories) {
+    switch (action) {
+      case "created":
+        return this.upsert(installation, repositories || []);
+      case "deleted":
+        this.remove(installation.id);
+        return null;
+      case "suspend":
+      case "unsuspend":
+      case "new_permissions_accepted":
+        return this.upsert(installation);
+      default:
+        return this.installations.get(installation.id) || null;
+    }
+  }
+
+  /**
+   * Apply an `installation_repositories` webhook event
+   */
+  handleRepositoriesEvent(installation, added = [], removed = []) {
+    const entry = this.upsert(installation);
+    added.forEach((r) => entry.repositories.add(r.full_name));
+    removed.forEach((r) => entry.repositories.delete(r.full_name));
+    return entry;
+  }
+
+  /**
+   * Load the current installations from GitHub (used on startup)
+   */
+  async sync(appAuth) {
+    const appOctokit = appAuth.getAppOctokit();
+    const installations = await appOctokit.paginate(appOctokit.apps.listInstallations);
+
+    for (const installation of installations) {
+      const octokit = appAuth.getInstallationOctokit(installation.id);
+      const repositories = await octokit.paginate(
+        octokit.apps.listReposAccessibleToInstallation
+      );
+      this.upsert(installation, repositories);
+    }
+
+    getLogger().info({ installations: installations.length }, "Loaded GitHub App installations");
+    return this.list();
+  }
+
+  findByRepository(fullName) {
+    return this.list().find((entry) => entry.repositories.includes(fullName)) || null;
+  }
+
+  list() {
+    return [...this.installations.values()].map((entry) => ({
+      ...entry,
+      repositories: [...entry.repositories],
+    }));
+  }
+}
+
+export default InstallationRegistry;
@@ -0,0 +1,500 @@
+import { getLogger, withNewLogContext } from "./logger.js";
+
+// `waiting`: the handler handed its work to another system and a later job picks it up
+export const JOB_STATES = ["queued", "running", "waiting", "succeeded", "failed", "cancelled"];
+
+/**
+ * Thrown by a handler that stops because its job was cancelled
+ */
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job #${jobId} was cancelled`);
+    this.name = "JobCancelledError";
+    this.jobId = jobId;
+  }
+}
+
+/**
+ * Returned by a handler whose work goes on outside the queue (e.g. an analysis the backend
+ * reports back on). The job is parked as `waiting` and keeps its lock key until
+ * resumeWaiting() or cancel() ends it.
+ */
+export class JobWaiting {
+  constructor(result = null) {
+    this.result = result;
+  }
+}
+
+// Pauses are keyed like this so numeric and string installation IDs match the payload
+const pauseKey = (installationId) => (installationId == null ? "" : String(installationId));
+
+class JobQueue {
+  /**
+   * @param {import("better-sqlite3").Database} db - Database the jobs persist in
+   * @param {Object} options
+   * @param {number} options.concurrency - Jobs run at the same time
+   * @param {number} options.maxAttempts - Attempts before a job is marked failed
+   * @param {number} options.retryBaseDelayMs - First retry delay, doubled on each attempt
+   * @param {number} options.pollIntervalMs - How often to look for due jobs
+   * @param {import("pino").Logger} options.logger
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.logger = options.logger || getLogger();
+    this.concurrency = options.concurrency || 2;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? 5000;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.handlers = new Map();
+    this.unpausable = new Set(); // job types pause() does not hold back
+    this.active = new Map(); // jobId -> Promise
+    this.timer = null;
+    this.running = false;
+    this.pauses = new Map(); // installation key -> { until, reason } while its jobs wait
+    this.migrate();
+  }
+
+  static fromEnv(db, env = process.env) {
+    return new JobQueue(db, {
+      concurrency: parseInt(env.JOB_CONCURRENCY, 10) || undefined,
+      maxAttempts: parseInt(env.JOB_MAX_ATTEMPTS, 10) || undefined,
+      retryBaseDelayMs: parseInt(env.JOB_RETRY_BASE_DELAY_MS, 10) || undefined,
+    });
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        lock_key TEXT,
+        state TEXT NOT NULL DEFAULT 'queued',
+        cancel_requested INTEGER NOT NULL DEFAULT 0,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        run_at INTEGER NOT NULL,
+        last_error TEXT,
+        result TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        started_at INTEGER,
+        finished_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS jobs_state_run_at ON jobs (state, run_at);
+    `);
+
+    // Columns added after the table was first created
+    const columns = this.db.prepare("PRAGMA table_info(jobs)").all().map((c) => c.name);
+    if (!columns.includes("lock_key")) {
+      this.db.exec("ALTER TABLE jobs ADD COLUMN lock_key TEXT");
+    }
+    if (!columns.includes("cancel_requested")) {
+      this.db.exec("ALTER TABLE jobs ADD COLUMN cancel_requested INTEGER NOT NULL DEFAULT 0");
+    }
+    this.db.exec("CREATE INDEX IF NOT EXISTS jobs_lock_key ON jobs (lock_key, state)");
+  }
+
+  /**
+   * Register the function that runs jobs of a given type. A handler error with
+   * `retryable: false` fails the job without further attempts.
+   * @param {string} type - Job type
+   * @param {(payload: Object, job: Object) => Promise<any>} handler
+   * @param {Object} options
+   * @param {boolean} options.pausable - false for jobs that run even while their installation is paused
+   */
+  registerHandler(type, handler, { pausable = true } = {}) {
+    this.handlers.set(type, handler);
+    if (!pausable) {
+      this.unpausable.add(type);
+    }
+  }
+
+  /**
+   * Persist a new job and wake the workers. Jobs sharing a lock key run one at a
+   * time, oldest first.
+   */
+  enqueue(type, payload, { maxAttempts = this.maxAttempts, delayMs = 0, lockKey = null } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const now = Date.now();
+    const { lastInsertRowid } = this.db
+      .prepare(
+        `INSERT INTO jobs (type, payload, lock_key, state, max_attempts, run_at, created_at, updated_at)
+         VALUES (?, ?, ?, 'queued', ?, ?, ?, ?)`
+      )
+      .run(type, JSON.stringify(payload), lockKey, maxAttempts, now + delayMs, now, now);
+
+    const job = this.get(lastInsertRowid);
+    this.logger.info({ jobId: job.id, jobType: type }, "Job queued");
+    setImmediate(() => this.tick());
+    return job;
+  }
+
+  /**
+   * Enqueue a job unless one with the same lock key is already queued, running or waiting
+   * @returns {{ job: Object, merged: boolean }} merged is true when the existing job was returned
+   */
+  enqueueExclusive(lockKey, type, payload, options = {}) {
+    const enqueueIfFree = this.db.transaction(() => {
+      const existing = this.findActive(lockKey);
+      if (existing) {
+        return { job: existing, merged: true };
+      }
+      return { job: this.enqueue(type, payload, { ...options, lockKey }), merged: false };
+    });
+    return enqueueIfFree();
+  }
+
+  /**
+   * The queued, running or waiting job holding a lock key, if any
+   */
+  findActive(lockKey) {
+    const row = this.db
+      .prepare(
+        `SELECT * FROM jobs WHERE lock_key = ? AND state IN ('queued', 'running', 'waiting')
+         ORDER BY id LIMIT 1`
+      )
+      .get(lockKey);
+    return row ? this.toJob(row) : null;
+  }
+
+  /**
+   * The most recent job for a lock key, whatever its state
+   */
+  findLatest(lockKey) {
+    const row = this.db
+      .prepare("SELECT * FROM jobs WHERE lock_key = ? ORDER BY id DESC LIMIT 1")
+      .get(lockKey);
+    return row ? this.toJob(row) : null;
+  }
+
+  /**
+   * Hand a waiting job's work on to a new job of `type`, which takes over its lock key.
+   * Nothing else can take the lock in between.
+   * @returns {Object|null} The new job, or null if the job is no longer waiting
+   */
+  resumeWaiting(id, type, payload, options = {}) {
+    const handOver = this.db.transaction(() => {
+      const now = Date.now();
+      const { changes } = this.db
+        .prepare(
+          `UPDATE jobs SET state = 'succeeded', finished_at = ?, updated_at = ?
+           WHERE id = ? AND state = 'waiting'`
+        )
+        .run(now, now, id);
+      if (changes === 0) {
+        return null;
+      }
+      return this.enqueue(type, payload, { ...options, lockKey: this.get(id).lockKey });
+    });
+    return handOver();
+  }
+
+  /**
+   * Cancel a job. Queued and waiting jobs are cancelled at once; running jobs are asked
+   * to stop and end when their handler next calls throwIfCancelled().
+   * @returns {Object|null} The updated job, or null if it had already finished
+   */
+  cancel(id) {
+    const now = Date.now();
+    const { changes } = this.db
+      .prepare(
+        `UPDATE jobs SET state = 'cancelled', cancel_requested = 1,
+         finished_at = ?, updated_at = ? WHERE id = ? AND state IN ('queued', 'waiting')`
+      )
+      .run(now, now, id);
+
+    if (changes === 0) {
+      const running = this.db
+        .prepare(
+          `UPDATE jobs SET cancel_requested = 1, updated_at = ?
+           WHERE id = ? AND state = 'running'`
+        )
+        .run(now, id);
+      if (running.changes === 0) {
+        return null;
+      }
+    }
+
+    this.logger.info({ jobId: id }, "Job cancellation requested");
+    return this.get(id);
+  }
+
+  isCancelRequested(id) {
+    const row = this.db.prepare("SELECT cancel_requested FROM jobs WHERE id = ?").get(id);
+    return Boolean(row?.cancel_requested);
+  }
+
+  /**
+   * Called by handlers between steps so a cancelled job stops early
+   */
+  throwIfCancelled(id) {
+    if (this.isCancelRequested(id)) {
+      throw new JobCancelledError(id);
+    }
+  }
+
+  get(id) {
+    const row = this.db.prepare("SELECT * FROM jobs WHERE id = ?").get(id);
+    return row ? this.toJob(row) : null;
+  }
+
+  list({ state, type, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (state) {
+      conditions.push("state = ?");
+      params.push(state);
+    }
+    if (type) {
+      conditions.push("type = ?");
+      params.push(type);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit)
+      .map((row) => this.toJob(row));
+  }
+
+  /**
+   * Number of jobs in each state
+   */
+  stats() {
+    const counts = Object.fromEntries(JOB_STATES.map((state) => [state, 0]));
+    for (const row of this.db
+      .prepare("SELECT state, COUNT(*) AS count FROM jobs GROUP BY state")
+      .all()) {
+      counts[row.state] = row.count;
+    }
+    return counts;
+  }
+
+  toJob(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      payload: JSON.parse(row.payload),
+      lockKey: row.lock_key,
+      state: row.state,
+      cancelRequested: Boolean(row.cancel_requested),
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      runAt: new Date(row.run_at).toISOString(),
+      lastError: row.last_error,
+      result: row.result ? JSON.parse(row.result) : null,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString(),
+      startedAt: row.started_at ? new Date(row.started_at).toISOString() : null,
+      finishedAt: row.finished_at ? new Date(row.finished_at).toISOString() : null,
+    };
+  }
+
+  /**
+   * Start the worker pool
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    // Jobs left running by a previous process never finished - run them again
+    const { changes } = this.db
+      .prepare(
+        `UPDATE jobs SET state = CASE WHEN cancel_requested = 1 THEN 'cancelled' ELSE 'queued' END,
+         updated_at = ? WHERE state = 'running'`
+      )
+      .run(Date.now());
+    if (changes > 0) {
+      this.logger.info({ jobs: changes }, "Re-queued interrupted jobs");
+    }
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+    this.tick();
+    this.logger.info({ concurrency: this.concurrency }, "Job queue started");
+  }
+
+  /**
+   * Stop taking new jobs and wait for running ones to finish
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await Promise.allSettled(this.active.values());
+  }
+
+  /**
+   * Stop picking up the jobs of one installation (`payload.installationId`; null for jobs
+   * without one) until `until` (ms timestamp). Other installations' jobs and running jobs
+   * carry on. The pause ends by itself; a later pause extends the current one.
+   */
+  pause(installationId, until, reason) {
+    const key = pauseKey(installationId);
+    const current = this.pauses.get(key);
+    if (current && current.until >= until) {
+      return;
+    }
+    if (!current) {
+      this.logger.warn({ installationId, until: new Date(until).toISOString(), reason }, "Jobs paused for installation");
+    }
+    this.pauses.set(key, { until, reason });
+  }
+
+  resume(installationId) {
+    if (this.pauses.delete(pauseKey(installationId))) {
+      this.logger.info({ installationId }, "Jobs resumed for installation");
+      this.tick();
+    }
+  }
+
+  /**
+   * Why and until when an installation's jobs are paused, or null
+   */
+  pauseStatus(installationId, now = Date.now()) {
+    const pause = this.pauses.get(pauseKey(installationId));
+    if (!pause || pause.until <= now) {
+      return null;
+    }
+    return { until: new Date(pause.until).toISOString(), reason: pause.reason };
+  }
+
+  /**
+   * Every installation whose jobs are paused right now
+   * @returns {Array<{ installationId: string|null, until: string, reason: string }>}
+   */
+  listPauses(now = Date.now()) {
+    return [...this.activePauseKeys(now)].map((key) => ({
+      installationId: key || null,
+      ...this.pauseStatus(key || null, now),
+    }));
+  }
+
+  /**
+   * Keys of the pauses still in force; expired ones are dropped
+   */
+  activePauseKeys(now = Date.now()) {
+    for (const [key, pause] of this.pauses) {
+      if (pause.until <= now) {
+        this.pauses.delete(key);
+        this.logger.info({ installationId: key || null }, "Jobs resumed for installation");
+      }
+    }
+    return this.pauses.keys();
+  }
+
+  tick() {
+    while (this.running && this.active.size < this.concurrency) {
+      const job = this.claimNext();
+      if (!job) return;
+
+      const execution = this.execute(job).finally(() => {
+        this.active.delete(job.id);
+        this.tick();
+      });
+      this.active.set(job.id, execution);
+    }
+  }
+
+  claimNext() {
+    const now = Date.now();
+    const paused = [...this.activePauseKeys(now)];
+    const unpausable = [...this.unpausable];
+    const placeholders = (values) => values.map(() => "?").join(", ");
+    const claim = this.db.transaction(() => {
+      const row = this.db
+        .prepare(
+          `SELECT * FROM jobs WHERE state = 'queued' AND run_at <= ?
+           AND (type IN (${placeholders(unpausable)})
+             OR COALESCE(CAST(json_extract(payload, '$.installationId') AS TEXT), '')
+               NOT IN (${placeholders(paused)}))
+           AND (lock_key IS NULL OR NOT EXISTS (
+             SELECT 1 FROM jobs AS other WHERE other.lock_key = jobs.lock_key
+             AND (other.state = 'running' OR (other.state = 'queued' AND other.id < jobs.id))))
+           ORDER BY run_at, id LIMIT 1`
+        )
+        .get(now, ...unpausable, ...paused);
+      if (!row) return null;
+
+      this.db
+        .prepare(
+          `UPDATE jobs SET state = 'running', attempts = attempts + 1,
+           started_at = ?, updated_at = ? WHERE id = ?`
+        )
+        .run(now, now, row.id);
+      return this.get(row.id);
+    });
+    return claim();
+  }
+
+  /**
+   * Run a claimed job; everything it logs carries its jobId
+   */
+  execute(job) {
+    return withNewLogContext({ jobId: job.id }, () => this.runHandler(job));
+  }
+
+  async runHandler(job) {
+    const handler = this.handlers.get(job.type);
+    this.logger.info({ jobType: job.type, attempt: job.attempts, maxAttempts: job.maxAttempts }, "Job running");
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+      const result = await handler(job.payload, job);
+      const now = Date.now();
+      if (result instanceof JobWaiting) {
+        this.db
+          .prepare(
+            `UPDATE jobs SET state = 'waiting', result = ?, last_error = NULL,
+             updated_at = ? WHERE id = ?`
+          )
+          .run(JSON.stringify(result.result ?? null), now, job.id);
+        this.logger.info("Job waiting");
+        return;
+      }
+      this.db
+        .prepare(
+          `UPDATE jobs SET state = 'succeeded', result = ?, last_error = NULL,
+           finished_at = ?, updated_at = ? WHERE id = ?`
+        )
+        .run(JSON.stringify(result ?? null), now, now, job.id);
+      this.logger.info("Job succeeded");
+    } catch (error) {
+      const now = Date.now();
+      if (error instanceof JobCancelledError || this.isCancelRequested(job.id)) {
+        this.db
+          .prepare(
+            `UPDATE jobs SET state = 'cancelled', finished_at = ?, updated_at = ? WHERE id = ?`
+          )
+          .run(now, now, job.id);
+        this.logger.info("Job cancelled");
+      } else if (job.attempts < job.maxAttempts && error.retryable !== false) {
+        const delay = this.retryBaseDelayMs * 2 ** (job.attempts - 1);
+        this.db
+          .prepare(
+            `UPDATE jobs SET state = 'queued', last_error = ?, run_at = ?,
+             updated_at = ? WHERE id = ?`
+          )
+          .run(error.message, now + delay, now, job.id);
+        this.logger.warn({ error: error.message, delayMs: delay }, "Job failed, retrying");
+      } else {
+        this.db
+          .prepare(
+            `UPDATE jobs SET state = 'failed', last_error = ?, finished_at = ?,
+             updated_at = ? WHERE id = ?`
+          )
+          .run(error.message, now, now, job.id);
+        this.logger.error({ error: error.message }, "Job failed permanently");
+      }
+    }
+  }
+}
+
+export default JobQueue;
@@ -0,0 +1,88 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import pino from "pino";
+
+// Never written to the logs: credentials, and the file contents sent to or received from
+// the analysis API (logged objects are only a few levels deep)
+const REDACT_PATHS = [
+  "token",
+  "*.token",
+  "secret",
+  "*.secret",
+  "privateKey",
+  "*.privateKey",
+  "authorization",
+  "*.authorization",
+  "*.headers.authorization",
+  '*.headers["x-api-key"]',
+  "content",
+  "*.content",
+  "*.*.content",
+  "*.*.*.content",
+  "patch",
+  "*.patch",
+  "*.*.patch",
+  "*.*.*.patch",
+];
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `fields` (deliveryId, event, repo, prNumber, runId, ...) added to every
+ * log line written while it runs, including by the services it calls
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Like withLogContext, but dropping the caller's fields: a worker woken by one request must
+ * not tag the jobs it runs with that request
+ */
+export function withNewLogContext(fields, fn) {
+  return context.run({ ...fields }, fn);
+}
+
+/**
+ * Add fields to the current log context, e.g. the run ID once the run has started
+ */
+export function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+export function getLogContext() {
+  return { ...context.getStore() };
+}
+
+/**
+ * JSON logs at LOG_LEVEL; human-readable with NODE_ENV=development (needs pino-pretty)
+ */
+export function createLogger(env = process.env) {
+  return pino({
+    level: env.LOG_LEVEL || "info",
+    redact: { paths: REDACT_PATHS, censor: "[redacted]" },
+    mixin: () => ({ ...context.getStore() }),
+    ...(env.NODE_ENV === "development"
+      ? {
+          transport: {
+            target: "pino-pretty",
+            options: { translateTime: "SYS:HH:MM:ss.l", ignore: "pid,hostname" },
+          },
+        }
+      : {}),
+  });
+}
+
+let rootLogger = null;
+
+/**
+ * The app-wide logger, created on first use so that LOG_LEVEL from .env is already loaded
+ */
+export function getLogger() {
+  if (!rootLogger) {
+    rootLogger = createLogger();
+  }
+  return rootLogger;
+}
@@ -0,0 +1,200 @@
+import client from "prom-client";
+
+// Analysis requests range from a few seconds to a long async wait
+const ANALYSIS_DURATION_BUCKETS = [1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1200, 1800];
+
+/**
+ * Label for a request URL: Octokit passes route templates, but pagination follows full
+ * `Link` URLs, which are turned back into a template-like path
+ */
+const endpointLabel = (url) => {
+  if (!/^https?:/.test(url)) {
+    return url;
+  }
+  return new URL(url).pathname
+    .replace(/^\/repos\/[^/]+\/[^/]+/, "/repos/{owner}/{repo}")
+    .replace(/\/\d+(?=\/|$)/g, "/{id}");
+};
+
+/**
+ * Prometheus metrics for the app, exposed at GET /metrics. Each instance has its own
+ * registry so tests and multiple servers in one process don't collide.
+ */
+class Metrics {
+  /**
+   * @param {Object} options
+   * @param {Object} options.jobQueue - JobQueue whose depth is reported at scrape time
+   * @param {boolean} options.collectDefaults - Also export Node.js process metrics
+   */
+  constructor({ jobQueue = null, collectDefaults = true } = {}) {
+    this.registry = new client.Registry();
+    this.instrumented = new WeakSet();
+
+    if (collectDefaults) {
+      client.collectDefaultMetrics({ register: this.registry });
+    }
+
+    const registers = [this.registry];
+
+    this.webhookDeliveries = new client.Counter({
+      name: "covlant_webhook_deliveries_total",
+      help: "Webhook deliveries by event, action and outcome",
+      labelNames: ["event", "action", "outcome"],
+      registers,
+    });
+
+    this.analysisRuns = new client.Counter({
+      name: "covlant_analysis_runs_total",
+      help: "Finished analysis runs by mode and result",
+      labelNames: ["mode", "result"],
+      registers,
+    });
+
+    this.analysisDuration = new client.Histogram({
+      name: "covlant_analysis_api_duration_seconds",
+      help: "Time from sending an analysis request to its result, including async polling",
+      labelNames: ["outcome"],
+      buckets: ANALYSIS_DURATION_BUCKETS,
+      registers,
+    });
+
+    this.githubRequests = new client.Counter({
+      name: "covlant_github_requests_total",
+      help: "GitHub API requests by method, endpoint and response status",
+      labelNames: ["method", "endpoint", "status"],
+      registers,
+    });
+
+    this.githubErrors = new client.Counter({
+      name: "covlant_github_request_errors_total",
+      help: "Failed GitHub API requests by method, endpoint and status (network errors have none)",
+      labelNames: ["method", "endpoint", "status"],
+      registers,
+    });
+
+    this.rateLimitRemaining = new client.Gauge({
+      name: "covlant_github_rate_limit_remaining",
+      help: "Requests left in the current GitHub rate limit window, as of the last response",
+      labelNames: ["installation", "resource"],
+      registers,
+    });
+
+    this.rateLimitLimit = new client.Gauge({
+      name: "covlant_github_rate_limit_limit",
+      help: "Size of the GitHub rate limit window",
+      labelNames: ["installation", "resource"],
+      registers,
+    });
+
+    this.filesCreated = new client.Counter({
+      name: "covlant_files_created_total",
+      help: "Generated files committed to analysis PRs (create_pr) or posted in reviews (add_comments)",
+      labelNames: ["mode"],
+      registers,
+    });
+
+    this.analysisPRs = new client.Counter({
+      name: "covlant_analysis_prs_total",
+      help: "Analysis PRs opened or updated with new files",
+      labelNames: ["outcome"],
+      registers,
+    });
+
+    if (jobQueue) {
+      new client.Gauge({
+        name: "covlant_job_queue_jobs",
+        help: "Jobs in the queue by state",
+        labelNames: ["state"],
+        registers,
+        collect() {
+          for (const [state, count] of Object.entries(jobQueue.stats())) {
+            this.set({ state }, count);
+          }
+        },
+      });
+    }
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * The text exposition format served at GET /metrics
+   */
+  render() {
+    return this.registry.metrics();
+  }
+
+  recordDelivery(event, action, outcome) {
+    this.webhookDeliveries.inc({ event: event || "unknown", action: action || "none", outcome });
+  }
+
+  recordRun(mode, result) {
+    this.analysisRuns.inc({ mode, result });
+  }
+
+  /**
+   * Start timing an analysis request; call the returned function with its outcome
+   */
+  startAnalysisTimer() {
+    return this.analysisDuration.startTimer();
+  }
+
+  recordFilesCreated(mode, count) {
+    if (count > 0) {
+      this.filesCreated.inc({ mode }, count);
+    }
+  }
+
+  recordAnalysisPR(outcome) {
+    this.analysisPRs.inc({ outcome });
+  }
+
+  /**
+   * Count an Octokit client's requests and track its rate limit (once per client).
+   * Endpoints are route templates (`/repos/{owner}/{repo}/pulls`), so labels stay bounded.
+   */
+  instrument(octokit, { installationId = null, app = false } = {}) {
+    if (this.instrumented.has(octokit)) {
+      return octokit;
+    }
+    // Each installation has its own rate limit; so do the app itself and a personal token
+    const installation = app ? "app" : installationId ? String(installationId) : "token";
+
+    octokit.hook.wrap("request", async (request, options) => {
+      const labels = { method: options.method, endpoint: endpointLabel(options.url) };
+      try {
+        const response = await request(options);
+        this.githubRequests.inc({ ...labels, status: String(response.status) });
+        this.trackRateLimit(installation, response.headers);
+        return response;
+      } catch (error) {
+        const status = error.status ? String(error.status) : "";
+        this.githubRequests.inc({ ...labels, status: status || "error" });
+        this.githubErrors.inc({ ...labels, status });
+        if (error.response) {
+          this.trackRateLimit(installation, error.response.headers);
+        }
+        throw error;
+      }
+    });
+    this.instrumented.add(octokit);
+    return octokit;
+  }
+
+  trackRateLimit(installation, headers = {}) {
+    const remaining = parseInt(headers["x-ratelimit-remaining"], 10);
+    if (Number.isNaN(remaining)) {
+      return;
+    }
+    const labels = { installation, resource: headers["x-ratelimit-resource"] || "core" };
+    this.rateLimitRemaining.set(labels, remaining);
+    const limit = parseInt(headers["x-ratelimit-limit"], 10);
+    if (!Number.isNaN(limit)) {
+      this.rateLimitLimit.set(labels, limit);
+    }
+  }
+}
+
+export default Metrics;
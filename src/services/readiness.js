@@ -0,0 +1,342 @@
+import { ANALYSIS_API_VERSION } from "./analysis-client.js";
+import { getLogger } from "./logger.js";
+
+// Worst first; the overall status is the worst component status
+const STATUS_ORDER = ["unhealthy", "degraded", "ok"];
+
+// Without these no webhook can be served; the other components only cost some features,
+// so they are `degraded` at worst and don't take the app out of rotation
+const ESSENTIAL_COMPONENTS = ["github", "persistence"];
+
+const PERMISSION_LEVELS = ["read", "write", "admin"];
+
+// Classic personal access token scopes that cover the repositories the app works on
+const REPO_SCOPES = ["repo", "public_repo"];
+
+// 401/403 mean the credentials were refused; anything else says nothing about them
+const isRejected = (error) => error.status === 401 || error.status === 403;
+
+const githubFailure = (what, error) =>
+  isRejected(error)
+    ? `${what} rejected by GitHub: ${error.message}`
+    : `GitHub API request failed: ${error.message}`;
+
+const worst = (statuses) =>
+  STATUS_ORDER.find((status) => statuses.includes(status)) || "ok";
+
+const withTimeout = (promise, ms, what) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Readiness of the app's dependencies, reported per component as `ok`, `degraded`
+ * (working with reduced capability) or `unhealthy` (cannot do its job):
+ *
+ * - `github`: credentials are configured and accepted, with the permissions (app) or
+ *   scopes (personal token) the workflow needs
+ * - `rateLimit`: GitHub requests left for the token or the installations in use
+ * - `analysisBackend`: `API_BASE_URL` answers and speaks our API version
+ * - `persistence`: the SQLite database accepts writes
+ *
+ * Only `github` and `persistence` can make the app `unhealthy`. Reports carry details
+ * (permissions, logins, URLs, paths) that `publicReport` strips for unauthenticated probes.
+ *
+ * Results are cached briefly so frequent probes don't spend GitHub rate limit.
+ */
+class ReadinessCheck {
+  /**
+   * @param {Object} options
+   * @param {Object} options.appAuth - GitHubAppAuth
+   * @param {Object} options.analysisClient - AnalysisClient
+   * @param {import("better-sqlite3").Database} options.db
+   * @param {Object} options.jobQueue - JobQueue, paused while a rate limit is nearly used up
+   * @param {string} options.statusReporter - `checks` or `status`; decides which permission is needed
+   * @param {number} options.cacheMs - How long a result is reused
+   * @param {number} options.timeoutMs - Per-component time limit
+   * @param {number} options.rateLimitWarnRatio - Degraded below this share of the rate limit
+   * @param {import("pino").Logger} options.logger
+   */
+  constructor({
+    appAuth,
+    analysisClient,
+    db,
+    jobQueue,
+    statusReporter,
+    cacheMs = 15 * 1000,
+    timeoutMs = 5000,
+    rateLimitWarnRatio = 0.1,
+    logger,
+  } = {}) {
+    this.appAuth = appAuth;
+    this.analysisClient = analysisClient;
+    this.db = db;
+    this.jobQueue = jobQueue;
+    this.statusReporter = statusReporter
+      || (appAuth?.isAppConfigured() ? "checks" : "status");
+    this.cacheMs = cacheMs;
+    this.timeoutMs = timeoutMs;
+    this.rateLimitWarnRatio = rateLimitWarnRatio;
+    this.logger = logger || getLogger();
+    this.cached = null; // { at, result }
+    this.pending = null;
+  }
+
+  static fromEnv(options, env = process.env) {
+    const cacheSeconds = parseFloat(env.READINESS_CACHE_SECONDS);
+    const warnPercent = parseFloat(env.READINESS_RATE_LIMIT_WARN_PERCENT);
+    return new ReadinessCheck({
+      ...options,
+      statusReporter: env.STATUS_REPORTER,
+      cacheMs: cacheSeconds >= 0 ? cacheSeconds * 1000 : undefined,
+      rateLimitWarnRatio: warnPercent >= 0 ? warnPercent / 100 : undefined,
+    });
+  }
+
+  /**
+   * The latest readiness report, re-checked once the cached one is older than `cacheMs`
+   * @returns {Promise<{ status: string, checkedAt: string, components: Object }>}
+   */
+  async check(now = Date.now()) {
+    if (this.cached && now - this.cached.at < this.cacheMs) {
+      return this.cached.result;
+    }
+    // Concurrent probes share one round of checks
+    if (!this.pending) {
+      this.pending = this.runChecks()
+        .then((result) => {
+          this.cached = { at: Date.now(), result };
+          return result;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  async runChecks() {
+    const checks = {
+      github: () => this.checkGitHub(),
+      rateLimit: () => this.checkRateLimit(),
+      analysisBackend: () => this.checkAnalysisBackend(),
+      persistence: () => this.checkPersistence(),
+    };
+
+    const entries = await Promise.all(
+      Object.entries(checks).map(async ([name, check]) => {
+        const started = Date.now();
+        let result;
+        try {
+          result = await withTimeout(check(), this.timeoutMs, `${name} check`);
+        } catch (error) {
+          // A timeout says nothing about the credentials; a failed database write does
+          result = { status: name === "persistence" ? "unhealthy" : "degraded", message: error.message };
+        }
+        if (result.status === "unhealthy" && !ESSENTIAL_COMPONENTS.includes(name)) {
+          result = { ...result, status: "degraded" };
+        }
+        return [name, { ...result, durationMs: Date.now() - started }];
+      })
+    );
+
+    const components = Object.fromEntries(entries);
+    const status = worst(Object.values(components).map((component) => component.status));
+    if (status !== "ok") {
+      this.logger.warn({
+        status,
+        components: Object.fromEntries(entries
+          .filter(([, component]) => component.status !== "ok")
+          .map(([name, component]) => [name, component.message])),
+      }, "Readiness check not ok");
+    }
+    return { status, checkedAt: new Date().toISOString(), components };
+  }
+
+  /**
+   * A report without component details, for the unauthenticated readiness probe
+   */
+  publicReport(report) {
+    return {
+      status: report.status,
+      checkedAt: report.checkedAt,
+      components: Object.fromEntries(
+        Object.entries(report.components).map(([name, component]) => [name, { status: component.status }])
+      ),
+    };
+  }
+
+  /**
+   * Permissions the workflow needs: push analysis branches, open PRs and reviews, comment,
+   * and report status through check runs or commit statuses
+   */
+  requiredPermissions() {
+    return {
+      contents: "write",
+      pull_requests: "write",
+      issues: "write",
+      metadata: "read",
+      ...(this.statusReporter === "checks" ? { checks: "write" } : { statuses: "write" }),
+    };
+  }
+
+  async checkGitHub() {
+    if (!this.appAuth?.isConfigured()) {
+      return {
+        status: "unhealthy",
+        message: "GitHub credentials are not configured (GITHUB_APP_ID/GITHUB_APP_PRIVATE_KEY or GITHUB_TOKEN)",
+      };
+    }
+
+    if (this.appAuth.isAppConfigured()) {
+      let app;
+      try {
+        ({ data: app } = await this.appAuth.getAppOctokit().apps.getAuthenticated());
+      } catch (error) {
+        return {
+          status: isRejected(error) ? "unhealthy" : "degraded",
+          message: githubFailure("GitHub App credentials", error),
+          mode: "app",
+        };
+      }
+      const granted = app.permissions || {};
+      const missing = Object.entries(this.requiredPermissions())
+        .filter(([name, level]) =>
+          PERMISSION_LEVELS.indexOf(granted[name]) < PERMISSION_LEVELS.indexOf(level))
+        .map(([name, level]) => `${name}:${level}`);
+      return {
+        status: missing.length ? "degraded" : "ok",
+        message: missing.length
+          ? `GitHub App lacks permissions: ${missing.join(", ")}`
+          : `Authenticated as GitHub App ${app.slug}`,
+        mode: "app",
+        permissions: granted,
+        ...(missing.length ? { missingPermissions: missing } : {}),
+      };
+    }
+
+    let response;
+    try {
+      response = await this.appAuth.getInstallationOctokit(null).users.getAuthenticated();
+    } catch (error) {
+      return {
+        status: isRejected(error) ? "unhealthy" : "degraded",
+        message: githubFailure("GITHUB_TOKEN", error),
+        mode: "token",
+      };
+    }
+    const scopesHeader = response.headers["x-oauth-scopes"];
+    if (scopesHeader === undefined || scopesHeader === "") {
+      // Fine-grained tokens don't report their permissions
+      return {
+        status: "ok",
+        message: `Authenticated as ${response.data.login} (fine-grained token, permissions not reported)`,
+        mode: "token",
+      };
+    }
+    const scopes = scopesHeader.split(",").map((scope) => scope.trim()).filter(Boolean);
+    const repoScope = REPO_SCOPES.find((scope) => scopes.includes(scope));
+    return {
+      status: repoScope === "repo" ? "ok" : "degraded",
+      message: repoScope === "repo"
+        ? `Authenticated as ${response.data.login}`
+        : repoScope
+          ? "GITHUB_TOKEN only has the public_repo scope; private repositories will fail"
+          : "GITHUB_TOKEN has no repo scope; repository writes will fail",
+      mode: "token",
+      scopes,
+    };
+  }
+
+  async checkRateLimit() {
+    if (!this.appAuth?.isConfigured()) {
+      return { status: "degraded", message: "GitHub credentials are not configured" };
+    }
+
+    // Each installation has its own budget; check the ones this process is using
+    const targets = this.appAuth.isAppConfigured()
+      ? this.appAuth.activeInstallationIds().map((id) => ({ installation: String(id), id }))
+      : [{ installation: "token", id: null }];
+    if (targets.length === 0) {
+      return { status: "ok", message: "No installation has been used yet", installations: [] };
+    }
+
+    let limits;
+    try {
+      limits = await Promise.all(targets.map(async ({ installation, id }) => {
+        const { data } = await this.appAuth.getInstallationOctokit(id).rateLimit.get();
+        const { limit, remaining, reset } = data.resources.core;
+        return { installation, limit, remaining, resetAt: new Date(reset * 1000).toISOString() };
+      }));
+    } catch (error) {
+      return { status: "degraded", message: githubFailure("GitHub credentials", error) };
+    }
+
+    const exhausted = limits.filter((entry) => entry.remaining === 0);
+    const low = limits.filter((entry) => entry.remaining > 0 && entry.remaining < entry.limit * this.rateLimitWarnRatio);
+    const lowest = limits.reduce((min, entry) => (entry.remaining < min.remaining ? entry : min));
+    const paused = this.jobQueue?.listPauses() || [];
+    return {
+      status: exhausted.length || low.length || paused.length ? "degraded" : "ok",
+      message: exhausted.length
+        ? `Rate limit exhausted for ${exhausted.map((entry) => entry.installation).join(", ")} until ${exhausted[0].resetAt}`
+        : paused.length
+          ? `Jobs paused for ${paused.map((entry) => entry.installationId ?? "token").join(", ")} until ${paused[0].until}: ${paused[0].reason}`
+          : `${lowest.remaining}/${lowest.limit} requests left (lowest)`,
+      installations: limits,
+      ...(paused.length ? { pausedInstallations: paused } : {}),
+    };
+  }
+
+  async checkAnalysisBackend() {
+    const health = await this.analysisClient.checkHealth({ timeoutMs: this.timeoutMs });
+    const breaker = this.analysisClient.breaker.toJSON();
+    const details = { url: this.analysisClient.baseUrl, ...health, circuit: breaker };
+
+    if (!health.reachable) {
+      return { status: "degraded", message: `Analysis API unreachable: ${health.error}`, ...details };
+    }
+    if (health.compatible === false) {
+      return {
+        status: "degraded",
+        message: `Analysis API speaks version ${health.apiVersion}, expected ${ANALYSIS_API_VERSION}`,
+        ...details,
+      };
+    }
+    if (breaker.state === "open") {
+      return { status: "degraded", message: "Analysis API answers again but the circuit breaker is still open", ...details };
+    }
+    if (health.compatible === null) {
+      return {
+        status: "degraded",
+        message: health.httpStatus >= 400
+          ? `Analysis API health endpoint returned ${health.httpStatus}`
+          : "Analysis API does not report its API version",
+        ...details,
+      };
+    }
+    return { status: "ok", message: `Analysis API version ${health.apiVersion}`, ...details };
+  }
+
+  async checkPersistence() {
+    if (!this.db) {
+      return { status: "unhealthy", message: "No database configured" };
+    }
+    // A real write, so a read-only file, a full disk or a held lock all show up
+    this.db.exec(
+      "CREATE TABLE IF NOT EXISTS readiness_probe (id INTEGER PRIMARY KEY CHECK (id = 1), checked_at INTEGER NOT NULL)"
+    );
+    this.db
+      .prepare(
+        `INSERT INTO readiness_probe (id, checked_at) VALUES (1, ?)
+         ON CONFLICT(id) DO UPDATE SET checked_at = excluded.checked_at`
+      )
+      .run(Date.now());
+    return { status: "ok", message: "Database is writable", path: this.db.name };
+  }
+}
+
+export default ReadinessCheck;
@@ -0,0 +1,231 @@
+import Ajv from "ajv";
+import YAML from "yaml";
+import { parseGitattributes } from "./file-filter.js";
+import { getLogger } from "./logger.js";
+
+export const CONFIG_FILENAME = ".covlant.yml";
+
+// Org-wide defaults live in the owner's `.github` repository, like GitHub's community files
+export const ORG_CONFIG_REPO = ".github";
+
+export const ANALYSIS_MODES = ["create_pr", "add_comments"];
+
+export const DEFAULT_CONFIG = {
+  include: [],
+  exclude: [],
+  modes: ANALYSIS_MODES,
+  defaultMode: "create_pr",
+  trigger: "opt_in",
+  testDirectories: {},
+  analysisPR: {
+    draft: true,
+    reviewers: [],
+    teamReviewers: [],
+    labels: [],
+  },
+  comments: {
+    verbosity: "normal",
+  },
+  lifecycle: {
+    onMerge: "retarget",
+  },
+  writePolicy: {
+    allowedRoots: [],
+    deniedGlobs: [".github/**", ".gitmodules", ".gitattributes", CONFIG_FILENAME],
+    maxFileBytes: 1024 * 1024,
+    allowOverwriteSource: false,
+  },
+};
+
+const stringList = { type: "array", items: { type: "string", minLength: 1 } };
+
+export const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    include: stringList,
+    exclude: stringList,
+    modes: { type: "array", items: { enum: ANALYSIS_MODES }, minItems: 1, uniqueItems: true },
+    defaultMode: { enum: ANALYSIS_MODES },
+    trigger: { enum: ["opt_in", "auto"] },
+    testDirectories: { type: "object", additionalProperties: { type: "string", minLength: 1 } },
+    analysisPR: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        draft: { type: "boolean" },
+        reviewers: stringList,
+        teamReviewers: stringList,
+        labels: stringList,
+      },
+    },
+    comments: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        verbosity: { enum: ["minimal", "normal", "detailed"] },
+      },
+    },
+    lifecycle: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        onMerge: { enum: ["retarget", "close"] },
+      },
+    },
+    writePolicy: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        allowedRoots: stringList,
+        deniedGlobs: stringList,
+        maxFileBytes: { type: "integer", minimum: 1 },
+        allowOverwriteSource: { type: "boolean" },
+      },
+    },
+  },
+};
+
+const validate = new Ajv({ allErrors: true }).compile(CONFIG_SCHEMA);
+
+/**
+ * Overlay one config layer on another; nested sections merge, lists are replaced
+ */
+export function mergeConfig(base, override = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const isSection = value && typeof value === "object" && !Array.isArray(value);
+    merged[key] = isSection ? { ...base[key], ...value } : value;
+  }
+  return merged;
+}
+
+/**
+ * Parse and validate the text of a config file
+ * @returns {{ config: Object|null, errors: string[] }}
+ */
+export function parseConfig(text) {
+  let config;
+  try {
+    config = YAML.parse(text) ?? {};
+  } catch (error) {
+    return { config: null, errors: [`Invalid YAML: ${error.message.split("\n")[0]}`] };
+  }
+
+  if (!validate(config)) {
+    const errors = validate.errors.map((e) => {
+      const where = e.instancePath || "(root)";
+      const detail = e.params?.additionalProperty
+        ? ` \`${e.params.additionalProperty}\``
+        : e.params?.allowedValues
+          ? `: ${e.params.allowedValues.join(", ")}`
+          : "";
+      return `\`${where}\` ${e.message}${detail}`;
+    });
+    return { config: null, errors };
+  }
+
+  if (config.defaultMode && config.modes && !config.modes.includes(config.defaultMode)) {
+    return { config: null, errors: ["`/defaultMode` must be one of the enabled `modes`"] };
+  }
+  return { config, errors: [] };
+}
+
+class RepoConfigService {
+  /**
+   * @param {import("@octokit/rest").Octokit} octokit - Client for the webhook's installation
+   * @param {Object} options
+   * @param {import("pino").Logger} options.logger
+   */
+  constructor(octokit, { logger } = {}) {
+    this.octokit = octokit;
+    this.logger = logger || getLogger();
+  }
+
+  /**
+   * Read a text file from the repository, or null if it does not exist
+   */
+  async fetchFile(owner, repo, path, ref) {
+    try {
+      const { data } = await this.octokit.repos.getContent({
+        owner,
+        repo,
+        path,
+        ...(ref ? { ref } : {}),
+      });
+      if (Array.isArray(data) || data.type !== "file") {
+        return null;
+      }
+      return Buffer.from(data.content, data.encoding || "base64").toString("utf8");
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load the effective config for a repository: built-in defaults, then the org
+   * defaults, then `.covlant.yml` on the given ref. An invalid layer is skipped
+   * and its errors returned so they can be reported on the PR.
+   * @returns {Promise<{ config: Object, errors: { source: string, messages: string[] }[], sources: string[] }>}
+   */
+  async load(owner, repo, ref) {
+    const layers = [
+      { source: `${owner}/${ORG_CONFIG_REPO}`, owner, repo: ORG_CONFIG_REPO, ref: null },
+      { source: `${owner}/${repo}@${ref}`, owner, repo, ref },
+    ];
+    if (repo === ORG_CONFIG_REPO) {
+      layers.shift();
+    }
+
+    let config = DEFAULT_CONFIG;
+    const errors = [];
+    const sources = [];
+
+    for (const layer of layers) {
+      let text;
+      try {
+        text = await this.fetchFile(layer.owner, layer.repo, CONFIG_FILENAME, layer.ref);
+      } catch (error) {
+        errors.push({ source: layer.source, messages: [`Could not read ${CONFIG_FILENAME}: ${error.message}`] });
+        continue;
+      }
+      if (text === null) continue;
+
+      const parsed = parseConfig(text);
+      if (parsed.errors.length) {
+        errors.push({ source: layer.source, messages: parsed.errors });
+        continue;
+      }
+      config = mergeConfig(config, parsed.config);
+      sources.push(layer.source);
+    }
+
+    // A layer may narrow `modes` without restating `defaultMode`
+    if (!config.modes.includes(config.defaultMode)) {
+      config = { ...config, defaultMode: config.modes[0] };
+    }
+
+    if (errors.length) {
+      this.logger.warn({ errors }, `Ignoring invalid ${CONFIG_FILENAME}`);
+    }
+    return { config, errors, sources };
+  }
+
+  /**
+   * Load the `linguist-generated` / `linguist-vendored` rules from `.gitattributes`
+   * (see file-filter.js). A missing or unreadable file means no rules.
+   */
+  async loadGitattributes(owner, repo, ref) {
+    try {
+      return parseGitattributes((await this.fetchFile(owner, repo, ".gitattributes", ref)) || "");
+    } catch (error) {
+      this.logger.warn({ error: error.message }, "Failed to read .gitattributes");
+      return [];
+    }
+  }
+}
+
+export default RepoConfigService;
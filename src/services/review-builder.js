@@ -0,0 +1,173 @@
+import path from "node:path";
+import { classifyFile } from "./file-filter.js";
+
+// GitHub rejects review and comment bodies longer than 65,536 characters; keep some headroom
+export const MAX_BODY_LENGTH = 65000;
+
+// Room left in every body for its heading and the continuation note
+const CHUNK_OVERHEAD = 500;
+
+// Files listed by name in the review summary; the sections below still cover every file
+const MAX_SUMMARY_FILES = 100;
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * A code fence longer than any backtick run in the content, so the content cannot close it
+ */
+const fenceFor = (content) => {
+  const longest = Math.max(0, ...(content.match(/`+/g) || []).map((run) => run.length));
+  return "`".repeat(Math.max(3, longest + 1));
+};
+
+/**
+ * First line of the new file that the patch shows, i.e. a line review comments may be anchored to
+ * @returns {number|null}
+ */
+export function firstDiffLine(patch) {
+  if (!patch) return null;
+
+  let line = null;
+  for (const text of patch.split("\n")) {
+    const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      line = parseInt(hunk[1], 10);
+      continue;
+    }
+    if (line === null || text.startsWith("\\")) continue;
+    if (text.startsWith("+")) return line;
+    if (!text.startsWith("-")) line += 1;
+  }
+  return null;
+}
+
+// test_calc.py, calc_test.go, calc.test.js, calc.spec.ts, CalcTest.java, calc_spec.rb -> calc
+const testStem = (filename) =>
+  path.posix
+    .basename(filename)
+    .replace(/\.[^.]+$/, "")
+    .replace(/^test_|_test$|_spec$|\.test$|\.spec$|Tests?$/, "")
+    .toLowerCase();
+
+const sourceStem = (filename) =>
+  path.posix.basename(filename).replace(/\.[^.]+$/, "").toLowerCase();
+
+/**
+ * The changed source file a generated test belongs to: the `sourcePath` the analysis API
+ * gave, otherwise the changed file with the same name stem and language
+ */
+export function findSourceFile(generatedFile, fileChanges) {
+  if (generatedFile.sourcePath) {
+    return fileChanges.find((file) => file.filename === generatedFile.sourcePath) || null;
+  }
+
+  const stem = testStem(generatedFile.path);
+  const { language } = classifyFile(generatedFile.path);
+  return fileChanges.find((file) =>
+    sourceStem(file.filename) === stem
+    && (!language || !file.language || file.language === language)
+  ) || null;
+}
+
+/**
+ * One collapsible section for a generated file, cut at a line boundary to fit `limit`
+ */
+export function buildFileSection(file, limit = MAX_BODY_LENGTH - CHUNK_OVERHEAD) {
+  const status = file.delete ? "delete" : file.fileExists ? "update existing file" : "new file";
+  const open = `<details>\n<summary><code>${escapeHtml(file.path)}</code> (${status})</summary>\n\n`;
+  const close = "\n</details>\n";
+
+  if (file.delete) {
+    return `${open}_Deletes this file._${close}`;
+  }
+  if (file.encoding === "base64") {
+    const bytes = Buffer.from(file.content, "base64").length;
+    return `${open}_Binary file (${bytes} bytes) - not shown._${close}`;
+  }
+
+  const content = file.content.replace(/\n$/, "");
+  const fence = fenceFor(content);
+  const language = path.posix.extname(file.path).slice(1);
+  const full = `${open}${fence}${language}\n${content}\n${fence}${close}`;
+  if (full.length <= limit) {
+    return full;
+  }
+
+  // Keep whole lines only, and leave room for the truncation note
+  const lines = content.split("\n");
+  const budget = limit - open.length - close.length - 2 * fence.length - language.length - 200;
+  const kept = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length + 1 > budget) break;
+    kept.push(line);
+    length += line.length + 1;
+  }
+  const note = `_Truncated: ${kept.length} of ${lines.length} lines shown - GitHub limits the size of a comment._`;
+  return `${open}${fence}${language}\n${kept.join("\n")}\n${fence}\n\n${note}${close}`;
+}
+
+/**
+ * Build one pull request review for the generated tests
+ * @param {Object[]} files - filesToCreate from the analysis API
+ * @param {Object[]} fileChanges - Eligible changed files of the PR (with `patch`)
+ * @param {Object} options
+ * @param {string} options.marker - Hidden marker identifying the app's result bodies
+ * @returns {{ body: string, comments: Object[], continuations: string[] }} comments are
+ *   diff-anchored review comments; continuations are extra bodies for sections that did
+ *   not fit in the review
+ */
+export function buildAnalysisReview(files, fileChanges, { marker }) {
+  const summary = [
+    marker,
+    "## 🧪 Generated Tests",
+    "",
+    `Generated **${files.length} test file${files.length === 1 ? "" : "s"}** for the changes in this PR.`,
+    "",
+    ...files.slice(0, MAX_SUMMARY_FILES).map((file) => `- \`${file.path}\`${file.type ? ` (${file.type})` : ""}`),
+    ...(files.length > MAX_SUMMARY_FILES ? [`- ...and ${files.length - MAX_SUMMARY_FILES} more`] : []),
+    "",
+    "*No additional PR was created - expand a file below to see its content.*",
+    "",
+  ].join("\n");
+
+  // Pack the sections into as few bodies as the length limit allows
+  const chunks = [summary];
+  for (const file of files) {
+    const section = buildFileSection(file);
+    if (chunks[chunks.length - 1].length + section.length > MAX_BODY_LENGTH - CHUNK_OVERHEAD) {
+      chunks.push("");
+    }
+    chunks[chunks.length - 1] += `\n${section}`;
+  }
+
+  const total = chunks.length;
+  const [first, ...rest] = chunks;
+  const body = total > 1
+    ? `${first}\n*Continued in ${total - 1} more comment${total > 2 ? "s" : ""} below.*`
+    : first;
+  const continuations = rest.map(
+    (chunk, index) => `${marker}\n## 🧪 Generated Tests (part ${index + 2} of ${total})\n${chunk}`
+  );
+
+  // One comment per source file, on the first line its diff shows
+  const testsBySource = new Map();
+  for (const file of files) {
+    const source = findSourceFile(file, fileChanges);
+    if (!source || !firstDiffLine(source.patch)) continue;
+    if (!testsBySource.has(source.filename)) {
+      testsBySource.set(source.filename, { source, tests: [] });
+    }
+    testsBySource.get(source.filename).tests.push(file.path);
+  }
+
+  const comments = [...testsBySource.values()].map(({ source, tests }) => ({
+    path: source.filename,
+    line: firstDiffLine(source.patch),
+    side: "RIGHT",
+    body: `🧪 Tests generated for this file: ${tests.map((t) => `\`${t}\``).join(", ")} - see the review summary.`,
+  }));
+
+  return { body, comments, continuations };
+}
@@ -0,0 +1,489 @@
+// `waiting`: the analysis backend accepted the request and will call back with the result
+export const RUN_STATES = ["running", "waiting", "succeeded", "failed", "cancelled", "skipped"];
+
+/**
+ * Run history backed by SQLite (the default)
+ */
+export class SqliteRunStore {
+  /**
+   * @param {import("better-sqlite3").Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this.migrate();
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS pull_requests (
+        repo TEXT NOT NULL,
+        pr_number INTEGER NOT NULL,
+        installation_id INTEGER,
+        title TEXT,
+        head_branch TEXT,
+        base_branch TEXT,
+        bot_comment_id INTEGER,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (repo, pr_number)
+      );
+
+      CREATE TABLE IF NOT EXISTS analysis_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        repo TEXT NOT NULL,
+        pr_number INTEGER NOT NULL,
+        job_id INTEGER,
+        trigger TEXT,
+        mode TEXT NOT NULL,
+        paths TEXT,
+        requested_by TEXT,
+        head_sha TEXT,
+        analysis_id TEXT,
+        generated_files TEXT,
+        result_url TEXT,
+        analysis_pr_number INTEGER,
+        state TEXT NOT NULL DEFAULT 'running',
+        error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        finished_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS analysis_runs_pr ON analysis_runs (repo, pr_number);
+      CREATE INDEX IF NOT EXISTS analysis_runs_job ON analysis_runs (job_id);
+      CREATE INDEX IF NOT EXISTS analysis_runs_analysis ON analysis_runs (analysis_id);
+
+      CREATE TABLE IF NOT EXISTS run_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        repo TEXT NOT NULL,
+        pr_number INTEGER,
+        run_id INTEGER,
+        action TEXT NOT NULL,
+        details TEXT,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS run_events_pr ON run_events (repo, pr_number);
+    `);
+  }
+
+  /**
+   * Record (or refresh) a source PR
+   */
+  upsertPullRequest({ repo, prNumber, installationId = null, title = null, headBranch = null, baseBranch = null }) {
+    const now = Date.now();
+    this.db
+      .prepare(
+        `INSERT INTO pull_requests (repo, pr_number, installation_id, title, head_branch, base_branch, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (repo, pr_number) DO UPDATE SET
+           installation_id = COALESCE(excluded.installation_id, installation_id),
+           title = COALESCE(excluded.title, title),
+           head_branch = COALESCE(excluded.head_branch, head_branch),
+           base_branch = COALESCE(excluded.base_branch, base_branch),
+           updated_at = excluded.updated_at`
+      )
+      .run(repo, prNumber, installationId, title, headBranch, baseBranch, now, now);
+    return this.getPullRequest(repo, prNumber);
+  }
+
+  setBotComment(repo, prNumber, commentId) {
+    this.upsertPullRequest({ repo, prNumber });
+    this.db
+      .prepare("UPDATE pull_requests SET bot_comment_id = ?, updated_at = ? WHERE repo = ? AND pr_number = ?")
+      .run(commentId, Date.now(), repo, prNumber);
+  }
+
+  getPullRequest(repo, prNumber) {
+    const row = this.db
+      .prepare("SELECT * FROM pull_requests WHERE repo = ? AND pr_number = ?")
+      .get(repo, prNumber);
+    return row ? toPullRequest(row) : null;
+  }
+
+  /**
+   * Start recording an analysis run
+   */
+  startRun({ repo, prNumber, jobId = null, trigger = null, mode, paths = [], requestedBy = null, headSha = null }) {
+    const now = Date.now();
+    const { lastInsertRowid } = this.db
+      .prepare(
+        `INSERT INTO analysis_runs (repo, pr_number, job_id, trigger, mode, paths, requested_by, head_sha, state, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'running', ?, ?)`
+      )
+      .run(repo, prNumber, jobId, trigger, mode, JSON.stringify(paths), requestedBy, headSha, now, now);
+    return this.getRun(lastInsertRowid);
+  }
+
+  /**
+   * Update fields of a run (headSha, analysisId, generatedFiles, resultUrl, analysisPrNumber, error)
+   */
+  updateRun(id, fields) {
+    const columns = {
+      headSha: "head_sha",
+      analysisId: "analysis_id",
+      generatedFiles: "generated_files",
+      resultUrl: "result_url",
+      analysisPrNumber: "analysis_pr_number",
+      error: "error",
+    };
+
+    const sets = [];
+    const params = [];
+    for (const [key, column] of Object.entries(columns)) {
+      if (fields[key] !== undefined) {
+        sets.push(`${column} = ?`);
+        params.push(key === "generatedFiles" ? JSON.stringify(fields[key]) : fields[key]);
+      }
+    }
+    if (sets.length === 0) {
+      return this.getRun(id);
+    }
+
+    this.db
+      .prepare(`UPDATE analysis_runs SET ${sets.join(", ")}, updated_at = ? WHERE id = ?`)
+      .run(...params, Date.now(), id);
+    return this.getRun(id);
+  }
+
+  /**
+   * Park a run until the analysis backend calls back, or pick it up again
+   * @param {string} state - waiting or running
+   */
+  setRunState(id, state, fields = {}) {
+    if (state !== "waiting" && state !== "running") {
+      throw new Error(`Invalid run state: ${state}`);
+    }
+    this.updateRun(id, fields);
+    this.db
+      .prepare("UPDATE analysis_runs SET state = ?, updated_at = ? WHERE id = ?")
+      .run(state, Date.now(), id);
+    return this.getRun(id);
+  }
+
+  /**
+   * Mark a run finished
+   * @param {string} state - succeeded, failed, cancelled or skipped
+   */
+  finishRun(id, state, fields = {}) {
+    if (!RUN_STATES.includes(state) || state === "running" || state === "waiting") {
+      throw new Error(`Invalid run state: ${state}`);
+    }
+    this.updateRun(id, fields);
+    const now = Date.now();
+    this.db
+      .prepare("UPDATE analysis_runs SET state = ?, finished_at = ?, updated_at = ? WHERE id = ?")
+      .run(state, now, now, id);
+    return this.getRun(id);
+  }
+
+  getRun(id) {
+    const row = this.db.prepare("SELECT * FROM analysis_runs WHERE id = ?").get(id);
+    return row ? toRun(row) : null;
+  }
+
+  findRunByJob(jobId) {
+    const row = this.db
+      .prepare("SELECT * FROM analysis_runs WHERE job_id = ? ORDER BY id DESC LIMIT 1")
+      .get(jobId);
+    return row ? toRun(row) : null;
+  }
+
+  findRunByAnalysisId(analysisId) {
+    const row = this.db
+      .prepare("SELECT * FROM analysis_runs WHERE analysis_id = ? ORDER BY id DESC LIMIT 1")
+      .get(analysisId);
+    return row ? toRun(row) : null;
+  }
+
+  latestRun(repo, prNumber, { state } = {}) {
+    return this.listRuns({ repo, prNumber, state, limit: 1 })[0] || null;
+  }
+
+  /**
+   * Record something the app did outside a run's main flow (closing an analysis PR,
+   * deleting a branch, ...)
+   */
+  recordEvent({ repo, prNumber = null, runId = null, action, details = null }) {
+    const { lastInsertRowid } = this.db
+      .prepare(
+        `INSERT INTO run_events (repo, pr_number, run_id, action, details, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(repo, prNumber, runId, action, details ? JSON.stringify(details) : null, Date.now());
+    return toEvent(this.db.prepare("SELECT * FROM run_events WHERE id = ?").get(lastInsertRowid));
+  }
+
+  listEvents({ repo, prNumber, runId, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (repo) {
+      conditions.push("repo = ?");
+      params.push(repo);
+    }
+    if (prNumber) {
+      conditions.push("pr_number = ?");
+      params.push(prNumber);
+    }
+    if (runId) {
+      conditions.push("run_id = ?");
+      params.push(runId);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM run_events ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(toEvent);
+  }
+
+  /**
+   * Repositories the app has seen PRs in, with the installation to reach them through
+   */
+  listRepositories() {
+    return this.db
+      .prepare(
+        `SELECT repo, MAX(installation_id) AS installation_id FROM pull_requests
+         GROUP BY repo ORDER BY repo`
+      )
+      .all()
+      .map((row) => ({ repo: row.repo, installationId: row.installation_id }));
+  }
+
+  listRuns({ repo, prNumber, state, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (repo) {
+      conditions.push("repo = ?");
+      params.push(repo);
+    }
+    if (prNumber) {
+      conditions.push("pr_number = ?");
+      params.push(prNumber);
+    }
+    if (state) {
+      conditions.push("state = ?");
+      params.push(state);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM analysis_runs ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(toRun);
+  }
+}
+
+/**
+ * Run history kept in memory - for tests and throwaway local runs
+ */
+export class MemoryRunStore {
+  constructor() {
+    this.pullRequests = new Map();
+    this.runs = [];
+    this.events = [];
+  }
+
+  upsertPullRequest({ repo, prNumber, installationId = null, title = null, headBranch = null, baseBranch = null }) {
+    const key = `${repo}#${prNumber}`;
+    const now = new Date().toISOString();
+    const existing = this.pullRequests.get(key);
+    const pullRequest = {
+      repo,
+      prNumber,
+      installationId: installationId ?? existing?.installationId ?? null,
+      title: title ?? existing?.title ?? null,
+      headBranch: headBranch ?? existing?.headBranch ?? null,
+      baseBranch: baseBranch ?? existing?.baseBranch ?? null,
+      botCommentId: existing?.botCommentId ?? null,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+    };
+    this.pullRequests.set(key, pullRequest);
+    return { ...pullRequest };
+  }
+
+  setBotComment(repo, prNumber, commentId) {
+    const pullRequest = this.upsertPullRequest({ repo, prNumber });
+    this.pullRequests.set(`${repo}#${prNumber}`, { ...pullRequest, botCommentId: commentId });
+  }
+
+  getPullRequest(repo, prNumber) {
+    const pullRequest = this.pullRequests.get(`${repo}#${prNumber}`);
+    return pullRequest ? { ...pullRequest } : null;
+  }
+
+  startRun({ repo, prNumber, jobId = null, trigger = null, mode, paths = [], requestedBy = null, headSha = null }) {
+    const now = new Date().toISOString();
+    const run = {
+      id: this.runs.length + 1,
+      repo,
+      prNumber,
+      jobId,
+      trigger,
+      mode,
+      paths,
+      requestedBy,
+      headSha,
+      analysisId: null,
+      generatedFiles: [],
+      resultUrl: null,
+      analysisPrNumber: null,
+      state: "running",
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+    this.runs.push(run);
+    return { ...run };
+  }
+
+  updateRun(id, fields) {
+    const run = this.runs[id - 1];
+    if (!run) return null;
+    for (const key of ["headSha", "analysisId", "generatedFiles", "resultUrl", "analysisPrNumber", "error"]) {
+      if (fields[key] !== undefined) run[key] = fields[key];
+    }
+    run.updatedAt = new Date().toISOString();
+    return { ...run };
+  }
+
+  setRunState(id, state, fields = {}) {
+    if (state !== "waiting" && state !== "running") {
+      throw new Error(`Invalid run state: ${state}`);
+    }
+    const run = this.runs[id - 1];
+    if (!run) return null;
+    this.updateRun(id, fields);
+    run.state = state;
+    return { ...run };
+  }
+
+  finishRun(id, state, fields = {}) {
+    if (!RUN_STATES.includes(state) || state === "running" || state === "waiting") {
+      throw new Error(`Invalid run state: ${state}`);
+    }
+    const run = this.runs[id - 1];
+    if (!run) return null;
+    this.updateRun(id, fields);
+    run.state = state;
+    run.finishedAt = new Date().toISOString();
+    return { ...run };
+  }
+
+  getRun(id) {
+    const run = this.runs[id - 1];
+    return run ? { ...run } : null;
+  }
+
+  findRunByJob(jobId) {
+    const run = [...this.runs].reverse().find((r) => r.jobId === jobId);
+    return run ? { ...run } : null;
+  }
+
+  findRunByAnalysisId(analysisId) {
+    const run = [...this.runs].reverse().find((r) => r.analysisId === analysisId);
+    return run ? { ...run } : null;
+  }
+
+  latestRun(repo, prNumber, { state } = {}) {
+    return this.listRuns({ repo, prNumber, state, limit: 1 })[0] || null;
+  }
+
+  recordEvent({ repo, prNumber = null, runId = null, action, details = null }) {
+    const event = {
+      id: this.events.length + 1,
+      repo,
+      prNumber,
+      runId,
+      action,
+      details,
+      createdAt: new Date().toISOString(),
+    };
+    this.events.push(event);
+    return { ...event };
+  }
+
+  listEvents({ repo, prNumber, runId, limit = 100 } = {}) {
+    return [...this.events]
+      .reverse()
+      .filter((e) => (!repo || e.repo === repo) && (!prNumber || e.prNumber === prNumber) && (!runId || e.runId === runId))
+      .slice(0, limit)
+      .map((e) => ({ ...e }));
+  }
+
+  listRepositories() {
+    const repositories = new Map();
+    for (const pullRequest of this.pullRequests.values()) {
+      const installationId = repositories.get(pullRequest.repo) ?? null;
+      repositories.set(pullRequest.repo, pullRequest.installationId ?? installationId);
+    }
+    return [...repositories.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([repo, installationId]) => ({ repo, installationId }));
+  }
+
+  listRuns({ repo, prNumber, state, limit = 50 } = {}) {
+    return [...this.runs]
+      .reverse()
+      .filter((r) => (!repo || r.repo === repo) && (!prNumber || r.prNumber === prNumber) && (!state || r.state === state))
+      .slice(0, limit)
+      .map((r) => ({ ...r }));
+  }
+}
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const toPullRequest = (row) => ({
+  repo: row.repo,
+  prNumber: row.pr_number,
+  installationId: row.installation_id,
+  title: row.title,
+  headBranch: row.head_branch,
+  baseBranch: row.base_branch,
+  botCommentId: row.bot_comment_id,
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at),
+});
+
+const toRun = (row) => ({
+  id: row.id,
+  repo: row.repo,
+  prNumber: row.pr_number,
+  jobId: row.job_id,
+  trigger: row.trigger,
+  mode: row.mode,
+  paths: row.paths ? JSON.parse(row.paths) : [],
+  requestedBy: row.requested_by,
+  headSha: row.head_sha,
+  analysisId: row.analysis_id,
+  generatedFiles: row.generated_files ? JSON.parse(row.generated_files) : [],
+  resultUrl: row.result_url,
+  analysisPrNumber: row.analysis_pr_number,
+  state: row.state,
+  error: row.error,
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at),
+  finishedAt: toIso(row.finished_at),
+});
+
+const toEvent = (row) => ({
+  id: row.id,
+  repo: row.repo,
+  prNumber: row.pr_number,
+  runId: row.run_id,
+  action: row.action,
+  details: row.details ? JSON.parse(row.details) : null,
+  createdAt: toIso(row.created_at),
+});
+
+/**
+ * Create the configured run store (RUN_STORE=sqlite|memory)
+ */
+export function createRunStore(db, driver = process.env.RUN_STORE || "sqlite") {
+  switch (driver) {
+    case "sqlite":
+      return new SqliteRunStore(db);
+    case "memory":
+      return new MemoryRunStore();
+    default:
+      throw new Error(`Unknown RUN_STORE: ${driver}`);
+  }
+}
@@ -0,0 +1,165 @@
+import { getLogger } from "./logger.js";
+
+// Repository roles from least to most access
+export const PERMISSION_LEVELS = ["none", "read", "triage", "write", "maintain", "admin"];
+
+const list = (value) =>
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+/**
+ * Decides whether the user behind a webhook may start, rerun or cancel an analysis:
+ *
+ * - bots are never allowed, so our own comment edits can't trigger anything
+ * - the user needs at least `minPermission` on the repository, as reported by the
+ *   collaborator permission API
+ * - when `allowedUsers` or `allowedTeams` (`org/team-slug`) are set, the user must also
+ *   be one of those users or an active member of one of those teams
+ *
+ * Decisions are cached for `cacheMs` per repository and user, so a burst of clicks
+ * costs one lookup.
+ */
+class TriggerAuthorizer {
+  /**
+   * @param {Object} options
+   * @param {string} options.minPermission - `write`, `maintain` or `admin` (any level in PERMISSION_LEVELS works)
+   * @param {string[]} options.allowedUsers - Logins that may trigger; empty for no user restriction
+   * @param {string[]} options.allowedTeams - `org/team-slug` entries whose members may trigger
+   * @param {number} options.cacheMs - How long a decision is reused
+   * @param {import("pino").Logger} options.logger
+   */
+  constructor({
+    minPermission = "write",
+    allowedUsers = [],
+    allowedTeams = [],
+    cacheMs = 60 * 1000,
+    logger,
+  } = {}) {
+    if (!PERMISSION_LEVELS.includes(minPermission) || minPermission === "none") {
+      throw new Error(`Invalid trigger permission "${minPermission}"; use one of ${PERMISSION_LEVELS.slice(1).join(", ")}`);
+    }
+    const invalidTeam = allowedTeams.find((team) => !/^[^/\s]+\/[^/\s]+$/.test(team));
+    if (invalidTeam) {
+      throw new Error(`Invalid trigger team "${invalidTeam}"; use org/team-slug`);
+    }
+    this.minPermission = minPermission;
+    this.allowedUsers = new Set(allowedUsers.map((login) => login.toLowerCase()));
+    this.allowedTeams = allowedTeams.map((team) => {
+      const [org, slug] = team.split("/");
+      return { org, slug };
+    });
+    this.cacheMs = cacheMs;
+    this.logger = logger || getLogger();
+    this.cache = new Map(); // "owner/repo:login" -> { at, decision }
+  }
+
+  static fromEnv(options = {}, env = process.env) {
+    const cacheSeconds = parseFloat(env.TRIGGER_AUTH_CACHE_SECONDS);
+    return new TriggerAuthorizer({
+      ...options,
+      minPermission: env.TRIGGER_MIN_PERMISSION?.trim().toLowerCase() || undefined,
+      allowedUsers: list(env.TRIGGER_ALLOWED_USERS),
+      allowedTeams: list(env.TRIGGER_ALLOWED_TEAMS),
+      cacheMs: cacheSeconds >= 0 ? cacheSeconds * 1000 : undefined,
+    });
+  }
+
+  hasAllowlist() {
+    return this.allowedUsers.size > 0 || this.allowedTeams.length > 0;
+  }
+
+  /**
+   * @param {Object} octokit - Installation client for the repository
+   * @param {string} repoFullName - `owner/repo`
+   * @param {Object} sender - Webhook `sender`
+   * @returns {Promise<{ allowed: boolean, reason: string, permission?: string }>}
+   *   `reason` is `bot`, `permission`, `allowlist` or `lookup_failed` when refused
+   */
+  async authorize(octokit, repoFullName, sender, now = Date.now()) {
+    if (!sender?.login) {
+      return { allowed: false, reason: "unknown_sender" };
+    }
+    if (sender.type === "Bot") {
+      return { allowed: false, reason: "bot" };
+    }
+
+    const key = `${repoFullName}:${sender.login.toLowerCase()}`;
+    const cached = this.cache.get(key);
+    if (cached && now - cached.at < this.cacheMs) {
+      return cached.decision;
+    }
+
+    let decision;
+    try {
+      decision = await this.decide(octokit, repoFullName, sender.login);
+    } catch (error) {
+      // Refuse rather than let anyone in while GitHub can't tell us; not cached
+      this.logger.error({ error: error.message, user: sender.login }, "Failed to check trigger permission");
+      return { allowed: false, reason: "lookup_failed" };
+    }
+    this.cache.set(key, { at: now, decision });
+    return decision;
+  }
+
+  async decide(octokit, repoFullName, login) {
+    const permission = await this.permissionOf(octokit, repoFullName, login);
+    if (PERMISSION_LEVELS.indexOf(permission) < PERMISSION_LEVELS.indexOf(this.minPermission)) {
+      return { allowed: false, reason: "permission", permission };
+    }
+    if (this.hasAllowlist() && !(await this.isAllowlisted(octokit, login))) {
+      return { allowed: false, reason: "allowlist", permission };
+    }
+    return { allowed: true, reason: "allowed", permission };
+  }
+
+  /**
+   * The user's role on the repository; `none` for users who aren't collaborators
+   */
+  async permissionOf(octokit, repoFullName, login) {
+    const [owner, repo] = repoFullName.split("/");
+    try {
+      const { data } = await octokit.repos.getCollaboratorPermissionLevel({ owner, repo, username: login });
+      // `permission` folds maintain into write and triage into read; `role_name` doesn't,
+      // but is a custom role's name for organizations using custom roles
+      return PERMISSION_LEVELS.includes(data.role_name) ? data.role_name : data.permission || "none";
+    } catch (error) {
+      if (error.status === 404) {
+        return "none";
+      }
+      throw error;
+    }
+  }
+
+  async isAllowlisted(octokit, login) {
+    if (this.allowedUsers.has(login.toLowerCase())) {
+      return true;
+    }
+    for (const { org, slug } of this.allowedTeams) {
+      try {
+        const { data } = await octokit.teams.getMembershipForUserInOrg({ org, team_slug: slug, username: login });
+        if (data.state === "active") {
+          return true;
+        }
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * What a refused user is told, without revealing the configured allowlists
+   */
+  describeRequirement() {
+    const access = `**${this.minPermission}** access to this repository`;
+    return this.hasAllowlist()
+      ? `${access} and to be on this app's list of allowed users or teams`
+      : access;
+  }
+}
+
+export default TriggerAuthorizer;
@@ -0,0 +1,64 @@
+import crypto from "node:crypto";
+
+class WebhookSignatureVerifier {
+  /**
+   * @param {string[]} secrets - Accepted secrets, current first (supports rotation)
+   */
+  constructor(secrets = []) {
+    this.secrets = secrets.filter(Boolean);
+  }
+
+  /**
+   * Build a verifier from GITHUB_WEBHOOK_SECRET and GITHUB_WEBHOOK_SECRET_PREVIOUS
+   */
+  static fromEnv(env = process.env) {
+    return new WebhookSignatureVerifier([
+      env.GITHUB_WEBHOOK_SECRET,
+      env.GITHUB_WEBHOOK_SECRET_PREVIOUS,
+    ]);
+  }
+
+  isConfigured() {
+    return this.secrets.length > 0;
+  }
+
+  sign(rawBody, secret) {
+    const digest = crypto
+      .createHmac("sha256", secret)
+      .update(rawBody)
+      .digest("hex");
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Check an X-Hub-Signature-256 header against the raw request body
+   * @param {Buffer|string} rawBody - Exact bytes GitHub signed
+   * @param {string} signatureHeader - Value of X-Hub-Signature-256
+   * @returns {boolean} true if any accepted secret produced the signature
+   */
+  verify(rawBody, signatureHeader) {
+    if (!signatureHeader || !signatureHeader.startsWith("sha256=")) {
+      return false;
+    }
+    if (rawBody === undefined || rawBody === null) {
+      return false;
+    }
+
+    const received = Buffer.from(signatureHeader);
+
+    // Check every secret so timing does not reveal which one matched
+    let matched = false;
+    for (const secret of this.secrets) {
+      const expected = Buffer.from(this.sign(rawBody, secret));
+      if (
+        expected.length === received.length &&
+        crypto.timingSafeEqual(expected, received)
+      ) {
+        matched = true;
+      }
+    }
+    return matched;
+  }
+}
+
+export default WebhookSignatureVerifier;
@@ -0,0 +1,146 @@
+import Ajv from "ajv";
+import picomatch from "picomatch";
+import { classifyFile } from "./file-filter.js";
+import { DEFAULT_CONFIG } from "./repo-config.js";
+
+// Never writable, whatever the repository config says
+export const PROTECTED_GLOBS = [".git/**", ".github/workflows/**"];
+
+const RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    analysisId: { anyOf: [{ type: "string" }, { type: "number" }] },
+    filesToCreate: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["path"],
+        properties: {
+          path: { type: "string", minLength: 1 },
+          content: { type: "string" },
+          type: { type: "string" },
+          fileExists: { type: "boolean" },
+          delete: { type: "boolean" },
+          encoding: { enum: ["utf8", "utf-8", "base64"] },
+          executable: { type: "boolean" },
+          sourcePath: { type: "string" },
+        },
+        // Everything except deletions needs content
+        if: { not: { properties: { delete: { const: true } }, required: ["delete"] } },
+        then: { required: ["content"] },
+      },
+    },
+    annotations: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["path", "message"],
+        properties: {
+          path: { type: "string" },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+const validateResponse = new Ajv({ allErrors: true }).compile(RESPONSE_SCHEMA);
+
+/**
+ * Check the shape of an analysis API response
+ * @returns {string[]} Problems found, empty when the response is valid
+ */
+export function validateAnalysisResponse(response) {
+  if (validateResponse(response)) {
+    return [];
+  }
+  return validateResponse.errors
+    .filter((e) => e.keyword !== "if")
+    .map((e) => `${e.instancePath || "(root)"} ${e.message}`);
+}
+
+/**
+ * Reject paths that could escape the repository or are not plain relative paths
+ * @returns {string|null} The reason the path is unsafe
+ */
+export function checkPathSyntax(filePath) {
+  if (filePath.includes("\0")) return "path contains a NUL byte";
+  if (filePath.includes("\\")) return "path contains a backslash";
+  if (filePath.startsWith("/") || /^[a-zA-Z]:/.test(filePath)) return "absolute paths are not allowed";
+
+  const segments = filePath.split("/");
+  if (segments.includes("..")) return "`..` segments are not allowed";
+  if (segments.some((segment) => segment === "" || segment === ".")) return "path has empty or `.` segments";
+  return null;
+}
+
+const contentBytes = (file) => {
+  if (file.delete || typeof file.content !== "string") return 0;
+  return file.encoding === "base64"
+    ? Buffer.from(file.content, "base64").length
+    : Buffer.byteLength(file.content, "utf8");
+};
+
+/**
+ * Decide which generated files may be written to the repository
+ * @param {Object[]} files - filesToCreate from the analysis API
+ * @param {Object} options
+ * @param {Object} options.policy - writePolicy from .covlant.yml
+ * @param {Object} options.testDirectories - Test directory per language (from .covlant.yml)
+ * @param {(path: string) => Promise<boolean>} options.exists - Whether the path already exists in the PR head
+ * @returns {Promise<{ accepted: Object[], rejected: { path: string, reason: string }[] }>}
+ */
+export async function applyWritePolicy(files, { policy = DEFAULT_CONFIG.writePolicy, testDirectories = {}, exists }) {
+  const isProtected = picomatch(PROTECTED_GLOBS, { dot: true });
+  const isDenied = policy.deniedGlobs.length ? picomatch(policy.deniedGlobs, { dot: true }) : () => false;
+  const roots = policy.allowedRoots.map((root) => root.replace(/^\.?\//, "").replace(/\/*$/, "/"));
+
+  const accepted = [];
+  const rejected = [];
+  const seen = new Set();
+
+  for (const file of files) {
+    const reject = (reason) => rejected.push({ path: file.path, reason });
+
+    const syntaxError = checkPathSyntax(file.path);
+    if (syntaxError) {
+      reject(syntaxError);
+      continue;
+    }
+    if (seen.has(file.path)) {
+      reject("path appears more than once in the response");
+      continue;
+    }
+    seen.add(file.path);
+
+    if (isProtected(file.path)) {
+      reject("protected path - `.git/` and `.github/workflows/` are never written");
+      continue;
+    }
+    if (isDenied(file.path)) {
+      reject("matches `writePolicy.deniedGlobs`");
+      continue;
+    }
+    if (roots.length && !roots.some((root) => file.path.startsWith(root))) {
+      reject(`outside \`writePolicy.allowedRoots\` (${policy.allowedRoots.join(", ")})`);
+      continue;
+    }
+
+    const size = contentBytes(file);
+    if (size > policy.maxFileBytes) {
+      reject(`${size} bytes exceeds \`writePolicy.maxFileBytes\` (${policy.maxFileBytes})`);
+      continue;
+    }
+
+    if (!policy.allowOverwriteSource
+      && classifyFile(file.path, { testDirectories }).role !== "test"
+      && await exists(file.path)) {
+      reject(`would ${file.delete ? "delete" : "overwrite"} an existing non-test file (set \`writePolicy.allowOverwriteSource\` to allow)`);
+      continue;
+    }
+
+    accepted.push(file);
+  }
+
+  return { accepted, rejected };
+}
@@ -0,0 +1,81 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fastify from "fastify";
+import pino from "pino";
+import AdminAuth from "../src/services/admin-auth.js";
+import adminApiPlugin from "../src/plugins/admin-api.js";
+import { openDatabase } from "../src/services/database.js";
+import JobQueue from "../src/services/job-queue.js";
+import { createRunStore } from "../src/services/run-store.js";
+
+const logger = pino({ level: "silent" });
+
+describe("AdminAuth", () => {
+  const auth = AdminAuth.fromEnv({ ADMIN_API_KEYS: "ops:ops-key, plain-key" });
+
+  test("names each key, numbering unnamed ones", () => {
+    assert.equal(auth.authenticate({ authorization: "Bearer ops-key" }), "ops");
+    assert.equal(auth.authenticate({ "x-api-key": "plain-key" }), "key-2");
+  });
+
+  test("refuses missing, wrong and partial keys", () => {
+    assert.equal(auth.authenticate({}), null);
+    assert.equal(auth.authenticate({ authorization: "Bearer nope" }), null);
+    assert.equal(auth.authenticate({ authorization: "Bearer ops" }), null);
+    assert.equal(auth.authenticate({ authorization: "Basic ops-key" }), null);
+  });
+
+  test("is not configured without keys", () => {
+    assert.equal(AdminAuth.fromEnv({}).isConfigured(), false);
+    assert.equal(AdminAuth.fromEnv({ ADMIN_API_KEYS: " , " }).isConfigured(), false);
+  });
+});
+
+describe("admin API", () => {
+  const build = async (keys) => {
+    const db = openDatabase(":memory:");
+    const app = fastify();
+    app.register(adminApiPlugin, {
+      prefix: "/admin",
+      auth: AdminAuth.fromEnv({ ADMIN_API_KEYS: keys }),
+      jobQueue: new JobQueue(db, { logger }),
+      runStore: createRunStore(db, "sqlite"),
+      logger,
+    });
+    await app.ready();
+    return app;
+  };
+
+  let app;
+  before(async () => {
+    app = await build("ops:ops-key");
+  });
+  after(() => app.close());
+
+  test("answers 401 without a valid key", async () => {
+    const missing = await app.inject({ method: "GET", url: "/admin/jobs" });
+    assert.equal(missing.statusCode, 401);
+    assert.equal(missing.headers["www-authenticate"], 'Bearer realm="admin"');
+
+    const wrong = await app.inject({ method: "GET", url: "/admin/jobs", headers: { "x-api-key": "guess" } });
+    assert.equal(wrong.statusCode, 401);
+  });
+
+  test("checks the key before routing", async () => {
+    const response = await app.inject({ method: "GET", url: "/admin/no-such-route" });
+    assert.equal(response.statusCode, 401);
+  });
+
+  test("serves requests with a valid key", async () => {
+    const response = await app.inject({ method: "GET", url: "/admin/jobs", headers: { authorization: "Bearer ops-key" } });
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json().jobs, []);
+  });
+
+  test("is disabled with 503 when no keys are configured", async () => {
+    const disabled = await build("");
+    const response = await disabled.inject({ method: "GET", url: "/admin/jobs", headers: { authorization: "Bearer ops-key" } });
+    assert.equal(response.statusCode, 503);
+    await disabled.close();
+  });
+});
@@ -0,0 +1,76 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import AnalysisClient, { signPayload } from "../src/services/analysis-client.js";
+import { buildApp } from "./helpers/app.js";
+
+const SECRET = "callback-secret";
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const seconds = (ms) => String(Math.floor(ms / 1000));
+
+const signedHeaders = (body, { secret = SECRET, timestamp = seconds(NOW) } = {}) => ({
+  "x-covlant-timestamp": timestamp,
+  "x-covlant-signature-256": signPayload(secret, timestamp, body),
+});
+
+describe("AnalysisClient.verifyCallback", () => {
+  const client = new AnalysisClient({ callbackSecret: SECRET });
+  const body = '{"status":"completed"}';
+
+  test("accepts a fresh callback signed with the secret", () => {
+    assert.equal(client.verifyCallback(Buffer.from(body), signedHeaders(body), NOW), true);
+  });
+
+  test("refuses another secret or a changed body", () => {
+    assert.equal(client.verifyCallback(Buffer.from(body), signedHeaders(body, { secret: "other" }), NOW), false);
+    assert.equal(client.verifyCallback(Buffer.from('{"status":"failed"}'), signedHeaders(body), NOW), false);
+  });
+
+  test("refuses timestamps outside the replay window", () => {
+    const old = seconds(NOW - 10 * 60 * 1000);
+    const future = seconds(NOW + 10 * 60 * 1000);
+    assert.equal(client.verifyCallback(Buffer.from(body), signedHeaders(body, { timestamp: old }), NOW), false);
+    assert.equal(client.verifyCallback(Buffer.from(body), signedHeaders(body, { timestamp: future }), NOW), false);
+  });
+
+  test("refuses timestamps that are not plain Unix seconds, even when signed", () => {
+    for (const timestamp of [`${seconds(NOW)}.0`, ` ${seconds(NOW)}`, "1.7e9", "0x65e1c3c0", ""]) {
+      assert.equal(client.verifyCallback(Buffer.from(body), signedHeaders(body, { timestamp }), NOW), false, timestamp);
+    }
+  });
+
+  test("refuses callbacks without headers or without a configured secret", () => {
+    assert.equal(client.verifyCallback(Buffer.from(body), {}, NOW), false);
+    assert.equal(new AnalysisClient({}).verifyCallback(Buffer.from(body), signedHeaders(body), NOW), false);
+  });
+});
+
+describe("analysis callback endpoint", () => {
+  let harness;
+
+  before(async () => {
+    harness = await buildApp({ analysisClient: new AnalysisClient({ callbackSecret: SECRET }) });
+  });
+
+  after(() => harness.app.close());
+
+  const post = (body, headers) => harness.app.inject({
+    method: "POST",
+    url: "/api/analysis-callback/an-1",
+    headers: { "content-type": "application/json", ...headers },
+    payload: body,
+  });
+
+  test("rejects an unsigned or wrongly signed callback with 401", async () => {
+    const body = '{"status":"completed"}';
+    assert.equal((await post(body, {})).statusCode, 401);
+    const timestamp = seconds(Date.now());
+    const wrong = await post(body, signedHeaders(body, { secret: "other", timestamp }));
+    assert.equal(wrong.statusCode, 401);
+  });
+
+  test("rejects a signed body that is not a JSON object with 400", async () => {
+    const body = "[1,2]";
+    const response = await post(body, signedHeaders(body, { timestamp: seconds(Date.now()) }));
+    assert.equal(response.statusCode, 400);
+  });
+});
@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildApp, pullRequestIssue } from "./helpers/app.js";
+
+const BOT_COMMENT = `<!-- covlant-app:pr-comment -->
+## 🔍 Files Changed in this PR
+
+### Choose Analysis Option:
+
+- [ ] **Analyze and create new PR** - Create a separate PR with analysis files
+- [ ] **Analyze and add to comments** - Post analysis results as a review on this PR
+`;
+
+const tick = (body) => body.replace("- [ ] **Analyze and create new PR**", "- [x] **Analyze and create new PR**");
+
+const pullRequest = (head = "feature") => ({
+  number: 3,
+  title: "Add feature",
+  html_url: "https://github.com/octo/repo/pull/3",
+  head: { ref: head, sha: "abc1234def" },
+  base: { ref: "main" },
+  user: { login: "author" },
+});
+
+describe("github webhook", () => {
+  let harness;
+
+  beforeEach(async () => {
+    // The queue is not started, so jobs stay queued and hold their PR's lock
+    harness = await buildApp();
+  });
+
+  afterEach(() => harness.app.close());
+
+  const editBotComment = (body, id = 70) => harness.send("issue_comment", {
+    action: "edited",
+    comment: { id, body, user: { login: "covlant[bot]", type: "Bot" } },
+    issue: pullRequestIssue(),
+    changes: { body: { from: BOT_COMMENT } },
+  });
+
+  const comment = (body) => harness.send("issue_comment", {
+    action: "created",
+    comment: { id: 80, body, user: { login: "dev", type: "User" } },
+    issue: pullRequestIssue(),
+  });
+
+  describe("one run per PR", () => {
+    test("queues a ticked checkbox and answers 202", async () => {
+      const response = await editBotComment(tick(BOT_COMMENT));
+      assert.equal(response.statusCode, 202);
+      const { jobId, choice } = response.json();
+      assert.equal(choice, "create_pr");
+      assert.equal(harness.jobQueue.get(jobId).lockKey, "octo/repo#3");
+    });
+
+    test("merges a second tick into the queued job and unticks it again", async () => {
+      const first = (await editBotComment(tick(BOT_COMMENT))).json();
+      const second = await editBotComment(tick(BOT_COMMENT));
+
+      assert.equal(second.statusCode, 200);
+      assert.equal(second.json().merged, true);
+      assert.equal(second.json().jobId, first.jobId);
+      assert.equal(harness.jobQueue.list().length, 1);
+
+      const [, update] = harness.octokit.calls.findLast(([route]) => route === "issues.updateComment");
+      assert.equal(update.comment_id, 70);
+      assert.match(update.body, /- \[ \] \*\*Analyze and create new PR\*\*/);
+      assert.match(update.body, new RegExp(`> ℹ️ Analysis is already queued for this PR \\(job #${first.jobId}\\)`));
+    });
+
+    test("refuses to start another analysis while one is queued", async () => {
+      const { jobId } = (await editBotComment(tick(BOT_COMMENT))).json();
+      const response = await comment("/covlant analyze comments");
+
+      assert.equal(response.json().merged, true);
+      assert.equal(response.json().jobId, jobId);
+      assert.equal(harness.jobQueue.list().length, 1);
+      const [, reply] = harness.octokit.calls.findLast(([route]) => route === "issues.createComment");
+      assert.match(reply.body, /already queued for this PR/);
+    });
+
+    test("lets a new analysis start once the job is cancelled", async () => {
+      const { jobId } = (await editBotComment(tick(BOT_COMMENT))).json();
+      await comment("/covlant cancel");
+      assert.equal(harness.jobQueue.get(jobId).state, "cancelled");
+
+      const response = await editBotComment(tick(BOT_COMMENT));
+      assert.equal(response.statusCode, 202);
+      assert.notEqual(response.json().jobId, jobId);
+    });
+  });
+
+  describe("pull request events", () => {
+    test("are queued as jobs and answered with 202", async () => {
+      const response = await harness.send("pull_request", { action: "opened", pull_request: pullRequest() });
+      assert.equal(response.statusCode, 202);
+      const job = harness.jobQueue.get(response.json().jobId);
+      assert.equal(job.type, "pr_opened");
+      assert.equal(job.lockKey, "octo/repo#3:events");
+      assert.equal(harness.octokit.calls.length, 0);
+    });
+
+    test("from analysis branches are skipped", async () => {
+      const response = await harness.send("pull_request", {
+        action: "opened",
+        pull_request: pullRequest("auto-analysis-pr-3"),
+      });
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.json().skipped, true);
+      assert.equal(harness.jobQueue.list().length, 0);
+    });
+  });
+
+  test("ignores a redelivered webhook", async () => {
+    const payload = { action: "opened", pull_request: pullRequest() };
+    const first = await harness.send("pull_request", payload, { "x-github-delivery": "same" });
+    const again = await harness.send("pull_request", payload, { "x-github-delivery": "same" });
+    assert.equal(first.statusCode, 202);
+    assert.equal(again.statusCode, 200);
+    assert.equal(harness.jobQueue.list().length, 1);
+  });
+});
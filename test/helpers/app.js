@@ -0,0 +1,99 @@
+import crypto from "node:crypto";
+import fastify from "fastify";
+import githubWebhookPlugin from "../../src/plugins/github-webhook.js";
+import { openDatabase } from "../../src/services/database.js";
+import JobQueue from "../../src/services/job-queue.js";
+import DeliveryStore from "../../src/services/delivery-store.js";
+import { createRunStore } from "../../src/services/run-store.js";
+
+// Tests run without log output unless LOG_LEVEL asks for it
+process.env.LOG_LEVEL ??= "silent";
+
+export const WEBHOOK_SECRET = "test-webhook-secret";
+
+/**
+ * An Octokit stand-in: any method call is recorded in `calls` as [route, params] and
+ * answered by `responders[route]`, or with `{ data: {} }`
+ */
+export function fakeOctokit(responders = {}) {
+  const calls = [];
+  const make = (path) => new Proxy(function () {}, {
+    get(_, key) {
+      if (key === "then") return undefined;
+      if (key === "calls") return calls;
+      if (key === "paginate") return async (method, params) => (await method(params)).data;
+      return make(path ? `${path}.${key}` : key);
+    },
+    apply(_, __, [params]) {
+      calls.push([path, params]);
+      const respond = responders[path];
+      return Promise.resolve().then(() => (respond ? respond(params) : { data: {} }));
+    },
+  });
+  return make("");
+}
+
+export const signWebhook = (body, secret = WEBHOOK_SECRET) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+/**
+ * The webhook plugin on an in-memory database, with a fake GitHub client and every
+ * trigger allowed unless `options.triggerAuth` says otherwise
+ */
+export async function buildApp({ responders = {}, ...options } = {}) {
+  const octokit = fakeOctokit(responders);
+  const db = openDatabase(":memory:");
+  const jobQueue = new JobQueue(db, { pollIntervalMs: 20, retryBaseDelayMs: 10 });
+  const runStore = createRunStore(db, "sqlite");
+  const app = fastify();
+
+  app.register(githubWebhookPlugin, {
+    jobQueue,
+    deliveryStore: new DeliveryStore(db),
+    runStore,
+    triggerAuth: { authorize: async () => ({ allowed: true, reason: "allowed" }), describeRequirement: () => "" },
+    appAuth: {
+      isConfigured: () => true,
+      isAppConfigured: () => false,
+      onClient: () => {},
+      getInstallationOctokit: () => octokit,
+    },
+    ...options,
+  });
+  await app.ready();
+
+  let delivery = 0;
+  const send = (event, payload, headers = {}) => {
+    const body = JSON.stringify({
+      installation: { id: 1 },
+      sender: { login: "dev", type: "User" },
+      repository: { full_name: "octo/repo" },
+      ...payload,
+    });
+    const allHeaders = {
+      "content-type": "application/json",
+      "x-github-event": event,
+      "x-github-delivery": `delivery-${++delivery}`,
+      "x-hub-signature-256": signWebhook(body),
+      ...headers,
+    };
+    // A header given as undefined is left out
+    return app.inject({
+      method: "POST",
+      url: "/",
+      headers: Object.fromEntries(Object.entries(allHeaders).filter(([, value]) => value !== undefined)),
+      payload: body,
+    });
+  };
+
+  return { app, octokit, db, jobQueue, runStore, send };
+}
+
+export const pullRequestIssue = (number = 3) => ({
+  number,
+  title: "Add feature",
+  html_url: `https://github.com/octo/repo/issues/${number}`,
+  pull_request: {},
+  user: { login: "author", id: 10 },
+  created_at: "2026-01-01T00:00:00Z",
+});
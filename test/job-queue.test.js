@@ -0,0 +1,171 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import pino from "pino";
+import { openDatabase } from "../src/services/database.js";
+import JobQueue, { JobWaiting } from "../src/services/job-queue.js";
+
+const logger = pino({ level: "silent" });
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves once `check()` is truthy, polling briefly
+const until = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for the queue");
+    await sleep(10);
+  }
+};
+
+describe("JobQueue", () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueue(openDatabase(":memory:"), { logger, pollIntervalMs: 10, retryBaseDelayMs: 10 });
+    queue.registerHandler("analyze", async () => "done");
+  });
+
+  afterEach(() => queue.stop());
+
+  describe("enqueueExclusive", () => {
+    test("merges a second job for the same lock key into the first", () => {
+      const first = queue.enqueueExclusive("octo/repo#1", "analyze", { n: 1 });
+      const second = queue.enqueueExclusive("octo/repo#1", "analyze", { n: 2 });
+      assert.equal(first.merged, false);
+      assert.equal(second.merged, true);
+      assert.equal(second.job.id, first.job.id);
+      assert.equal(queue.list().length, 1);
+    });
+
+    test("keeps different lock keys apart", () => {
+      queue.enqueueExclusive("octo/repo#1", "analyze", {});
+      const other = queue.enqueueExclusive("octo/repo#2", "analyze", {});
+      assert.equal(other.merged, false);
+    });
+
+    test("frees the lock once the job has finished", async () => {
+      const { job } = queue.enqueueExclusive("octo/repo#1", "analyze", {});
+      queue.start();
+      await until(() => queue.get(job.id).state === "succeeded");
+      assert.equal(queue.findActive("octo/repo#1"), null);
+      assert.equal(queue.enqueueExclusive("octo/repo#1", "analyze", {}).merged, false);
+    });
+
+    test("refuses job types without a handler", () => {
+      assert.throws(() => queue.enqueueExclusive("octo/repo#1", "unknown", {}), /No handler registered/);
+    });
+  });
+
+  describe("waiting jobs", () => {
+    beforeEach(() => {
+      queue.registerHandler("submit", async () => new JobWaiting({ analysisId: "an-1" }));
+    });
+
+    test("keep holding the lock until resumed", async () => {
+      const { job } = queue.enqueueExclusive("octo/repo#1", "submit", {});
+      queue.start();
+      await until(() => queue.get(job.id).state === "waiting");
+
+      assert.deepEqual(queue.get(job.id).result, { analysisId: "an-1" });
+      assert.equal(queue.enqueueExclusive("octo/repo#1", "analyze", {}).merged, true);
+
+      const resumed = queue.resumeWaiting(job.id, "analyze", { resume: true });
+      assert.equal(resumed.lockKey, "octo/repo#1");
+      assert.equal(queue.get(job.id).state, "succeeded");
+      assert.equal(queue.findActive("octo/repo#1").id, resumed.id);
+      assert.equal(queue.resumeWaiting(job.id, "analyze", {}), null);
+    });
+
+    test("are cancelled at once and can no longer be resumed", async () => {
+      const { job } = queue.enqueueExclusive("octo/repo#1", "submit", {});
+      queue.start();
+      await until(() => queue.get(job.id).state === "waiting");
+
+      assert.equal(queue.cancel(job.id).state, "cancelled");
+      assert.equal(queue.resumeWaiting(job.id, "analyze", {}), null);
+      assert.equal(queue.findActive("octo/repo#1"), null);
+    });
+  });
+
+  describe("cancel", () => {
+    test("cancels a queued job at once", () => {
+      const job = queue.enqueue("analyze", {});
+      assert.equal(queue.cancel(job.id).state, "cancelled");
+      assert.equal(queue.cancel(job.id), null);
+    });
+
+    test("asks a running job to stop at its next check", async () => {
+      let release;
+      queue.registerHandler("slow", async (payload, job) => {
+        await new Promise((resolve) => { release = resolve; });
+        queue.throwIfCancelled(job.id);
+      });
+      const job = queue.enqueue("slow", {});
+      queue.start();
+      await until(() => queue.get(job.id).state === "running" && release);
+
+      assert.equal(queue.cancel(job.id).cancelRequested, true);
+      release();
+      await until(() => queue.get(job.id).state === "cancelled");
+    });
+  });
+
+  test("runs jobs sharing a lock key one at a time, oldest first", async () => {
+    const order = [];
+    queue.registerHandler("event", async ({ n }) => {
+      order.push(`start ${n}`);
+      await sleep(20);
+      order.push(`end ${n}`);
+    });
+    queue.concurrency = 3;
+    for (const n of [1, 2, 3]) {
+      queue.enqueue("event", { n }, { lockKey: "octo/repo#1:events" });
+    }
+    queue.start();
+    await until(() => order.length === 6);
+    assert.deepEqual(order, ["start 1", "end 1", "start 2", "end 2", "start 3", "end 3"]);
+  });
+
+  test("retries failed jobs up to maxAttempts", async () => {
+    let attempts = 0;
+    queue.registerHandler("flaky", async () => {
+      attempts++;
+      throw new Error("boom");
+    });
+    const job = queue.enqueue("flaky", {}, { maxAttempts: 2 });
+    queue.start();
+    await until(() => queue.get(job.id).state === "failed");
+    assert.equal(attempts, 2);
+    assert.equal(queue.get(job.id).lastError, "boom");
+  });
+
+  describe("pause", () => {
+    test("holds back only the paused installation's jobs", async () => {
+      const ran = [];
+      queue.registerHandler("work", async ({ installationId }) => ran.push(installationId));
+      queue.registerHandler("urgent", async ({ installationId }) => ran.push(`urgent ${installationId}`), { pausable: false });
+      queue.pause(1, Date.now() + 60 * 1000, "rate limit");
+
+      queue.enqueue("work", { installationId: 1 });
+      queue.enqueue("work", { installationId: 2 });
+      queue.enqueue("urgent", { installationId: 1 });
+      queue.start();
+      await until(() => ran.length === 2);
+      await sleep(50);
+
+      assert.deepEqual(ran.sort(), [2, "urgent 1"]);
+      assert.equal(queue.pauseStatus(1).reason, "rate limit");
+      assert.equal(queue.pauseStatus(2), null);
+      assert.deepEqual(queue.listPauses().map((pause) => pause.installationId), ["1"]);
+    });
+
+    test("ends by itself", async () => {
+      const ran = [];
+      queue.registerHandler("work", async () => ran.push("ran"));
+      queue.pause(1, Date.now() + 50, "rate limit");
+      queue.enqueue("work", { installationId: 1 });
+      queue.start();
+      await until(() => ran.length === 1);
+      assert.deepEqual(queue.listPauses(), []);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import pino from "pino";
+import TriggerAuthorizer from "../src/services/trigger-auth.js";
+import { fakeOctokit } from "./helpers/app.js";
+
+const logger = pino({ level: "silent" });
+const user = (login = "dev") => ({ login, type: "User" });
+
+const notFound = () => {
+  const error = new Error("Not Found");
+  error.status = 404;
+  throw error;
+};
+
+// A client whose collaborator permission lookup answers with `data`
+const withPermission = (data, extra = {}) =>
+  fakeOctokit({ "repos.getCollaboratorPermissionLevel": () => ({ data }), ...extra });
+
+describe("TriggerAuthorizer", () => {
+  test("allows users at or above the minimum permission", async () => {
+    const auth = new TriggerAuthorizer({ minPermission: "write", logger });
+    for (const permission of ["write", "admin"]) {
+      const decision = await auth.authorize(withPermission({ permission }), "octo/repo", user(permission));
+      assert.deepEqual(decision, { allowed: true, reason: "allowed", permission });
+    }
+  });
+
+  test("refuses users below the minimum permission", async () => {
+    const auth = new TriggerAuthorizer({ minPermission: "write", logger });
+    for (const permission of ["read", "none"]) {
+      const decision = await auth.authorize(withPermission({ permission }), "octo/repo", user(permission));
+      assert.deepEqual(decision, { allowed: false, reason: "permission", permission });
+    }
+  });
+
+  test("uses role_name, which keeps maintain and triage apart", async () => {
+    const auth = new TriggerAuthorizer({ minPermission: "maintain", logger });
+    const maintainer = await auth.authorize(
+      withPermission({ permission: "write", role_name: "maintain" }), "octo/repo", user("maintainer"));
+    assert.equal(maintainer.allowed, true);
+
+    const writer = await auth.authorize(
+      withPermission({ permission: "write", role_name: "write" }), "octo/repo", user("writer"));
+    assert.deepEqual(writer, { allowed: false, reason: "permission", permission: "write" });
+  });
+
+  test("treats non-collaborators as having no access", async () => {
+    const auth = new TriggerAuthorizer({ minPermission: "read", logger });
+    const octokit = fakeOctokit({ "repos.getCollaboratorPermissionLevel": notFound });
+    assert.deepEqual(await auth.authorize(octokit, "octo/repo", user()),
+      { allowed: false, reason: "permission", permission: "none" });
+  });
+
+  test("never allows bots or unknown senders", async () => {
+    const auth = new TriggerAuthorizer({ logger });
+    const octokit = withPermission({ permission: "admin" });
+    assert.deepEqual(await auth.authorize(octokit, "octo/repo", { login: "app[bot]", type: "Bot" }),
+      { allowed: false, reason: "bot" });
+    assert.deepEqual(await auth.authorize(octokit, "octo/repo", null), { allowed: false, reason: "unknown_sender" });
+    assert.equal(octokit.calls.length, 0);
+  });
+
+  test("refuses, without caching, when the lookup fails", async () => {
+    const auth = new TriggerAuthorizer({ logger });
+    let fail = true;
+    const octokit = fakeOctokit({
+      "repos.getCollaboratorPermissionLevel": () => {
+        if (fail) throw new Error("GitHub is down");
+        return { data: { permission: "write" } };
+      },
+    });
+    assert.deepEqual(await auth.authorize(octokit, "octo/repo", user()), { allowed: false, reason: "lookup_failed" });
+    fail = false;
+    assert.equal((await auth.authorize(octokit, "octo/repo", user())).allowed, true);
+  });
+
+  test("caches decisions per repository and user", async () => {
+    const auth = new TriggerAuthorizer({ cacheMs: 1000, logger });
+    const octokit = withPermission({ permission: "write" });
+    await auth.authorize(octokit, "octo/repo", user(), 0);
+    await auth.authorize(octokit, "octo/repo", user("DEV"), 500);
+    assert.equal(octokit.calls.length, 1);
+    await auth.authorize(octokit, "octo/other", user(), 500);
+    await auth.authorize(octokit, "octo/repo", user(), 1500);
+    assert.equal(octokit.calls.length, 3);
+  });
+
+  test("requires allowlisted users or active team members on top of the permission", async () => {
+    const auth = new TriggerAuthorizer({ allowedUsers: ["Lead"], allowedTeams: ["octo/testers"], logger });
+    const octokit = withPermission({ permission: "write" }, {
+      "teams.getMembershipForUserInOrg": ({ username }) =>
+        (username === "tester" ? { data: { state: "active" } } : notFound()),
+    });
+    assert.equal((await auth.authorize(octokit, "octo/repo", user("lead"))).allowed, true);
+    assert.equal((await auth.authorize(octokit, "octo/repo", user("tester"))).allowed, true);
+    assert.deepEqual(await auth.authorize(octokit, "octo/repo", user("outsider")),
+      { allowed: false, reason: "allowlist", permission: "write" });
+  });
+
+  test("rejects invalid configuration", () => {
+    assert.throws(() => new TriggerAuthorizer({ minPermission: "none" }), /Invalid trigger permission/);
+    assert.throws(() => new TriggerAuthorizer({ minPermission: "owner" }), /Invalid trigger permission/);
+    assert.throws(() => new TriggerAuthorizer({ allowedTeams: ["no-slug"] }), /Invalid trigger team/);
+  });
+});
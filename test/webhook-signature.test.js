@@ -0,0 +1,78 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import WebhookSignatureVerifier from "../src/services/webhook-signature.js";
+import { WEBHOOK_SECRET, buildApp, signWebhook } from "./helpers/app.js";
+
+describe("WebhookSignatureVerifier", () => {
+  const body = Buffer.from('{"action":"opened"}');
+
+  test("accepts a signature made with the secret", () => {
+    const verifier = new WebhookSignatureVerifier(["s3cret"]);
+    assert.equal(verifier.verify(body, signWebhook(body, "s3cret")), true);
+  });
+
+  test("accepts the previous secret during rotation", () => {
+    const verifier = new WebhookSignatureVerifier(["new", "old"]);
+    assert.equal(verifier.verify(body, signWebhook(body, "old")), true);
+  });
+
+  test("refuses another secret, a changed body and malformed headers", () => {
+    const verifier = new WebhookSignatureVerifier(["s3cret"]);
+    assert.equal(verifier.verify(body, signWebhook(body, "other")), false);
+    assert.equal(verifier.verify(Buffer.from('{"action":"closed"}'), signWebhook(body, "s3cret")), false);
+    assert.equal(verifier.verify(body, signWebhook(body, "s3cret").replace("sha256=", "sha1=")), false);
+    assert.equal(verifier.verify(body, "sha256=abc"), false);
+    assert.equal(verifier.verify(body, undefined), false);
+    assert.equal(verifier.verify(undefined, signWebhook(body, "s3cret")), false);
+  });
+
+  test("is not configured without secrets", () => {
+    assert.equal(WebhookSignatureVerifier.fromEnv({}).isConfigured(), false);
+    assert.equal(WebhookSignatureVerifier.fromEnv({ GITHUB_WEBHOOK_SECRET: "x" }).isConfigured(), true);
+  });
+});
+
+describe("webhook endpoint", () => {
+  let harness;
+
+  before(async () => {
+    process.env.GITHUB_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    harness = await buildApp();
+  });
+
+  after(async () => {
+    await harness.app.close();
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+  });
+
+  test("processes a correctly signed delivery", async () => {
+    const response = await harness.send("ping", { zen: "Keep it simple" });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json().success, true);
+  });
+
+  test("rejects a missing or wrong signature with 401", async () => {
+    const missing = await harness.send("ping", {}, { "x-hub-signature-256": undefined });
+    assert.equal(missing.statusCode, 401);
+
+    const wrong = await harness.send("ping", {}, { "x-hub-signature-256": signWebhook("{}", "not-the-secret") });
+    assert.equal(wrong.statusCode, 401);
+    assert.equal(wrong.json().message, "Invalid webhook signature");
+  });
+
+  test("verifies the exact bytes received, not re-serialized JSON", async () => {
+    const body = '{"zen":  "spaced"}';
+    const response = await harness.app.inject({
+      method: "POST",
+      url: "/",
+      headers: {
+        "content-type": "application/json",
+        "x-github-event": "ping",
+        "x-github-delivery": "raw-bytes",
+        "x-hub-signature-256": signWebhook(body),
+      },
+      payload: body,
+    });
+    assert.equal(response.statusCode, 200);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { applyWritePolicy, checkPathSyntax, validateAnalysisResponse } from "../src/services/write-policy.js";
+import { DEFAULT_CONFIG } from "../src/services/repo-config.js";
+
+const file = (path, content = "test('x', () => {});") => ({ path, content });
+const nothingExists = async () => false;
+
+const apply = (files, { policy = {}, exists = nothingExists } = {}) =>
+  applyWritePolicy(files, { policy: { ...DEFAULT_CONFIG.writePolicy, ...policy }, exists });
+
+const reasonFor = (result, path) => result.rejected.find((entry) => entry.path === path)?.reason;
+
+describe("checkPathSyntax", () => {
+  test("accepts plain relative paths", () => {
+    assert.equal(checkPathSyntax("test/api/user.test.js"), null);
+    assert.equal(checkPathSyntax(".config/setup.js"), null);
+  });
+
+  test("refuses paths that could leave the repository", () => {
+    for (const path of ["../outside.js", "test/../../etc/passwd", "/etc/passwd", "C:/Windows/x.js", "test\\..\\x.js"]) {
+      assert.notEqual(checkPathSyntax(path), null, path);
+    }
+  });
+
+  test("refuses empty, `.` and NUL segments", () => {
+    for (const path of ["test//x.js", "./test/x.js", "test/x.js/", "test/x\0.js"]) {
+      assert.notEqual(checkPathSyntax(path), null, JSON.stringify(path));
+    }
+  });
+});
+
+describe("applyWritePolicy", () => {
+  test("accepts generated tests", async () => {
+    const result = await apply([file("test/user.test.js"), file("src/__tests__/api.test.ts")]);
+    assert.equal(result.accepted.length, 2);
+    assert.deepEqual(result.rejected, []);
+  });
+
+  test("rejects `..` traversal", async () => {
+    const result = await apply([file("../escape.test.js"), file("test/../../escape.test.js")]);
+    assert.equal(result.accepted.length, 0);
+    assert.match(reasonFor(result, "../escape.test.js"), /`\.\.` segments/);
+  });
+
+  test("never writes workflows or .git, whatever the config allows", async () => {
+    const result = await apply(
+      [file(".github/workflows/ci.yml"), file(".git/hooks/pre-commit")],
+      { policy: { deniedGlobs: [], allowOverwriteSource: true } }
+    );
+    assert.equal(result.accepted.length, 0);
+    assert.match(reasonFor(result, ".github/workflows/ci.yml"), /protected path/);
+    assert.match(reasonFor(result, ".git/hooks/pre-commit"), /protected path/);
+  });
+
+  test("applies deniedGlobs and allowedRoots", async () => {
+    const result = await apply(
+      [file(".github/CODEOWNERS"), file("test/ok.test.js"), file("spec/other.test.js")],
+      { policy: { allowedRoots: ["test/"] } }
+    );
+    assert.deepEqual(result.accepted.map((f) => f.path), ["test/ok.test.js"]);
+    assert.match(reasonFor(result, ".github/CODEOWNERS"), /deniedGlobs/);
+    assert.match(reasonFor(result, "spec/other.test.js"), /allowedRoots/);
+  });
+
+  test("does not overwrite or delete existing source files unless allowed", async () => {
+    const exists = async (path) => path.startsWith("src/");
+    const files = [file("src/index.js"), { path: "src/old.js", delete: true }, file("test/new.test.js")];
+
+    const strict = await apply(files, { exists });
+    assert.deepEqual(strict.accepted.map((f) => f.path), ["test/new.test.js"]);
+    assert.match(reasonFor(strict, "src/index.js"), /overwrite an existing non-test file/);
+    assert.match(reasonFor(strict, "src/old.js"), /delete an existing non-test file/);
+
+    const lenient = await apply(files, { exists, policy: { allowOverwriteSource: true } });
+    assert.equal(lenient.accepted.length, 3);
+  });
+
+  test("rejects oversized files and repeated paths", async () => {
+    const result = await apply(
+      [file("test/big.test.js", "x".repeat(101)), file("test/a.test.js"), file("test/a.test.js")],
+      { policy: { maxFileBytes: 100 } }
+    );
+    assert.match(reasonFor(result, "test/big.test.js"), /exceeds/);
+    assert.deepEqual(result.accepted.map((f) => f.path), ["test/a.test.js"]);
+    assert.match(reasonFor(result, "test/a.test.js"), /more than once/);
+  });
+});
+
+describe("validateAnalysisResponse", () => {
+  test("requires content except for deletions", () => {
+    assert.deepEqual(validateAnalysisResponse({ filesToCreate: [{ path: "a", delete: true }] }), []);
+    assert.notDeepEqual(validateAnalysisResponse({ filesToCreate: [{ path: "a" }] }), []);
+  });
+});